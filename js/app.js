@@ -2,13 +2,21 @@ import { FileSystemManager } from './file_system.js';
 import { GenerationStep } from './generation.js';
 import { ClusteringStep } from './clustering.js';
 import { OrganizationStep } from './organization.js';
+import { SearchStep } from './search.js';
+import { ClipTextEncoder } from './clip_text.js';
+import { ClusterLabeler, DEFAULT_LABEL_VOCABULARY } from './cluster_labels.js';
+import { parseClustersFile } from './run_files.js';
+import { drawLineChart } from './charts.js';
 
 class App {
     constructor() {
         this.fs = new FileSystemManager();
+        // One CLIP text encoder shared by search and cluster naming
+        this.clipText = new ClipTextEncoder(this.log.bind(this));
         this.generation = new GenerationStep(this.fs, this.log.bind(this));
-        this.clustering = new ClusteringStep(this.fs, this.log.bind(this));
+        this.clustering = new ClusteringStep(this.fs, this.log.bind(this), this.clipText);
         this.organization = new OrganizationStep(this.fs, this.log.bind(this));
+        this.search = new SearchStep(this.fs, this.log.bind(this), this.clipText);
 
         // Cache GPU support status
         this.hasWebGPU = !!navigator.gpu;
@@ -144,6 +152,16 @@ class App {
                         div.hidden = true;
                     }
                 });
+                this.updateSuggestButton();
+            });
+        }
+
+        // Cluster naming vocabulary (persisted across sessions)
+        const vocabularyEl = document.getElementById('cluster-label-vocabulary');
+        if (vocabularyEl) {
+            vocabularyEl.value = localStorage.getItem('clusterLabelVocabulary') || DEFAULT_LABEL_VOCABULARY.join('\n');
+            vocabularyEl.addEventListener('change', () => {
+                localStorage.setItem('clusterLabelVocabulary', vocabularyEl.value);
             });
         }
 
@@ -174,34 +192,111 @@ class App {
             };
 
             // Gather specific params
-            if (algorithm === 'dbscan' || algorithm === 'optics' || algorithm === 'hdbscan') {
+            if (algorithm === 'dbscan' || algorithm === 'optics') {
                 config.epsilon = getValue('cluster-epsilon', 'float');
                 config.minPts = getValue('cluster-minpts', 'int');
                 configItems.push(
                     { key: 'epsilon', label: 'Epsilon', value: config.epsilon, type: 'number', step: 0.01, min: 0, max: 2 },
                     { key: 'minPts', label: 'MinPts', value: config.minPts, type: 'number', step: 1, min: 1, max: 100 }
                 );
-            } else if (algorithm === 'kmeans' || algorithm === 'hierarchical') {
-                config.k = getValue('cluster-k', 'int');
+            } else if (algorithm === 'hdbscan') {
+                config.minClusterSize = Math.max(2, getValue('cluster-min-cluster-size', 'int'));
+                config.minSamples = getValue('cluster-min-samples', 'int');
                 configItems.push(
-                    { key: 'k', label: 'Number of Clusters (K)', value: config.k, type: 'number', step: 1, min: 2, max: 100 }
+                    { key: 'minClusterSize', label: 'Min Cluster Size', value: config.minClusterSize, type: 'number', step: 1, min: 2, max: 500 },
+                    { key: 'minSamples', label: 'Min Samples', value: config.minSamples, type: 'number', step: 1, min: 1, max: 500 }
                 );
+            } else if (algorithm === 'kmeans' || algorithm === 'hierarchical') {
+                if (algorithm === 'hierarchical' && getValue('cluster-hier-cut', 'text') === 'threshold') {
+                    config.cutMode = 'threshold';
+                    config.distanceThreshold = getValue('cluster-distance-threshold', 'float');
+                    configItems.push(
+                        { key: 'cutMode', label: 'Cut Tree By', value: config.cutMode, type: 'text', readonly: true },
+                        { key: 'distanceThreshold', label: 'Distance Threshold', value: config.distanceThreshold, type: 'number', step: 0.01, min: 0, max: 10 }
+                    );
+                } else {
+                    config.k = getValue('cluster-k', 'int');
+                    configItems.push(
+                        { key: 'k', label: 'Number of Clusters (K)', value: config.k, type: 'number', step: 1, min: 2, max: 100 }
+                    );
+                }
 
                 if (algorithm === 'hierarchical') {
                     config.linkage = getValue('cluster-linkage', 'text');
                     configItems.push({ key: 'linkage', label: 'Linkage', value: config.linkage, type: 'text', readonly: true });
                 }
+            } else if (algorithm === 'spectral' || algorithm === 'gmm') {
+                config.k = getValue('cluster-k', 'int');
+                configItems.push(
+                    { key: 'k', label: 'Number of Clusters (K)', value: config.k, type: 'number', step: 1, min: 2, max: 100 }
+                );
+                if (algorithm === 'spectral') {
+                    config.neighbors = getValue('cluster-spectral-neighbors', 'int');
+                    configItems.push(
+                        { key: 'neighbors', label: 'Graph Neighbours', value: config.neighbors, type: 'number', step: 1, min: 2, max: 100 }
+                    );
+                } else {
+                    config.gmmDimensions = getValue('cluster-gmm-dims', 'int');
+                    config.minProbability = getValue('cluster-gmm-min-probability', 'float');
+                    configItems.push(
+                        { key: 'gmmDimensions', label: 'PCA Dimensions', value: config.gmmDimensions, type: 'number', step: 1, min: 2, max: 64 },
+                        { key: 'minProbability', label: 'Min Membership Probability', value: config.minProbability, type: 'number', step: 0.05, min: 0, max: 1 }
+                    );
+                }
+            } else if (algorithm === 'duplicates') {
+                config.hashThreshold = parseInt(document.getElementById('cluster-hash-threshold').value) || 0;
+                configItems.push(
+                    { key: 'hashThreshold', label: 'Max Hamming Distance', value: config.hashThreshold, type: 'number', step: 1, min: 0, max: 32 }
+                );
             }
 
             const confirmedConfig = await this.showConfigConfirmation('Clustering Analysis', configItems);
 
             if (confirmedConfig) {
                 confirmedConfig.algorithm = algorithm; // Ensure algorithm is preserved
+                confirmedConfig.autoLabel = document.getElementById('cluster-auto-label')?.checked ?? false;
+                confirmedConfig.neighborSearch = document.getElementById('cluster-neighbor-search')?.value || 'auto';
+                confirmedConfig.labelVocabulary = ClusterLabeler.parseVocabulary(vocabularyEl ? vocabularyEl.value : '');
                 this.log(`Starting clustering with source: ${sourceRun} (${algorithm})`);
                 await this.clustering.run(sourceRun, confirmedConfig);
             }
         });
 
+        // 2D embedding map of the selected run
+        document.getElementById('btn-show-map').addEventListener('click', async () => {
+            const sourceRun = document.getElementById('clustering-source-select').value;
+            if (sourceRun) await this.clustering.showEmbeddingMap(sourceRun);
+        });
+
+        // Parameter suggestion: analyse the run, show the curves, then open the confirmation with the value prefilled
+        document.getElementById('btn-suggest-params').addEventListener('click', async () => {
+            const sourceRun = document.getElementById('clustering-source-select').value;
+            const algorithm = document.getElementById('clustering-algorithm-select').value;
+            if (!sourceRun) return;
+
+            const btn = document.getElementById('btn-suggest-params');
+            btn.disabled = true;
+            btn.textContent = '⏳ Analysing...';
+            try {
+                const suggestion = await this.clustering.suggestParameters(sourceRun, algorithm, {
+                    minPts: parseInt(document.getElementById('cluster-minpts').value) || 2,
+                    linkage: document.getElementById('cluster-linkage').value,
+                    neighborSearch: document.getElementById('cluster-neighbor-search')?.value || 'auto'
+                });
+                if (await this.showSuggestionModal(algorithm, suggestion)) {
+                    const inputId = suggestion.parameter === 'epsilon' ? 'cluster-epsilon' : 'cluster-k';
+                    document.getElementById(inputId).value = suggestion.value;
+                    document.getElementById('btn-run-clustering').click();
+                }
+            } catch (error) {
+                this.log(`Parameter suggestion failed: ${error.message}`, 'error');
+                this.showInfoModal('⚠️ Suggestion Failed', error.message);
+            } finally {
+                btn.textContent = '💡 Suggest Parameters';
+                this.updateSuggestButton();
+            }
+        });
+
         // Save Selected Clusters
         document.getElementById('btn-save-clusters').addEventListener('click', async () => {
             await this.clustering.saveSelectedClusters();
@@ -211,6 +306,21 @@ class App {
         // Enable clustering button when source is selected
         document.getElementById('clustering-source-select').addEventListener('change', (e) => {
             document.getElementById('btn-run-clustering').disabled = !e.target.value;
+            this.updateSearchButton();
+            this.updateSuggestButton();
+        });
+
+        // Text Search over the selected CLIP run
+        const runSearch = async () => {
+            const sourceRun = document.getElementById('clustering-source-select').value;
+            const query = document.getElementById('search-query').value.trim();
+            if (!sourceRun || !query) return;
+            const topK = parseInt(document.getElementById('search-top-k').value) || 24;
+            await this.search.run(sourceRun, query, topK);
+        };
+        document.getElementById('btn-run-search').addEventListener('click', runSearch);
+        document.getElementById('search-query').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !document.getElementById('btn-run-search').disabled) runSearch();
         });
 
         // Organization
@@ -223,13 +333,59 @@ class App {
 
             const mode = document.querySelector('input[name="org-mode"]:checked').value;
 
-            const confirmedConfig = await this.showConfigConfirmation('Folder Organization', [
+            const orgItems = [
                 { key: 'sourceCluster', label: 'Source Clusters', value: sourceCluster, type: 'text', readonly: true },
                 { key: 'mode', label: 'Operation Mode', value: mode, type: 'text', readonly: true } // Mode not editable here for simplicity, or could be select
-            ]);
+            ];
+
+            // Offer cluster names and zero-shot labels as folder names when the clustering run has them
+            const { names, unclustered } = parseClustersFile(await this.fs.readFile(`metadata/${sourceCluster}/clusters.json`, 'json'));
+            const clusterLabels = await this.fs.readFile(`metadata/${sourceCluster}/clusterLabels.json`, 'json');
+            const folderNameOptions = [];
+            if (names.some(Boolean)) folderNameOptions.push({ v: 'names', l: 'Cluster names given in Step 2' });
+            if (clusterLabels && clusterLabels.some(l => l && l.length > 0)) folderNameOptions.push({ v: 'labels', l: 'Best CLIP label (e.g. "beach")' });
+            if (folderNameOptions.length > 0) {
+                folderNameOptions.push({ v: 'numbers', l: 'Numbered (Cluster_1, Cluster_2, ...)' });
+                orgItems.push({
+                    key: 'folderNames', label: 'Folder Names', value: folderNameOptions[0].v, type: 'select',
+                    options: folderNameOptions,
+                    help: folderNameOptions[0].v === 'names' ? 'Unnamed clusters use their CLIP label, if any, or a number.' : undefined
+                });
+            }
+
+            // Offer an Unsorted folder when the clustering run saved its unclustered images
+            if (unclustered.length > 0) {
+                orgItems.push({
+                    key: 'unclustered', label: `Unclustered Images (${unclustered.length})`, value: 'unsorted', type: 'select',
+                    options: [
+                        { v: 'unsorted', l: 'Copy into an "Unsorted" folder' },
+                        { v: 'skip', l: 'Leave out' }
+                    ]
+                });
+            }
+
+            // Offer capture-date subfolders when the generation run recorded EXIF data
+            const sourceGen = sourceCluster.split('_from_')[1];
+            const exif = sourceGen ? await this.fs.readFile(`metadata/${sourceGen}/exifArray.json`, 'json') : null;
+            if (exif && exif.some(e => e && e.takenAt)) {
+                orgItems.push({
+                    key: 'dateSubfolders', label: 'Date Subfolders', value: 'none', type: 'select',
+                    options: [
+                        { v: 'none', l: 'None' },
+                        { v: 'year', l: 'By capture year (2023/)' },
+                        { v: 'month', l: 'By capture month (2023-06/)' }
+                    ]
+                });
+            }
+
+            const confirmedConfig = await this.showConfigConfirmation('Folder Organization', orgItems);
 
             if (confirmedConfig) {
-                await this.organization.run(sourceCluster, confirmedConfig.mode);
+                await this.organization.run(sourceCluster, confirmedConfig.mode, {
+                    folderNames: confirmedConfig.folderNames || 'numbers',
+                    dateSubfolders: confirmedConfig.dateSubfolders || 'none',
+                    unclustered: confirmedConfig.unclustered || 'skip'
+                });
             }
         });
 
@@ -372,6 +528,31 @@ class App {
             });
         }
 
+        // Folder scan scope applies to both pipelines; locked when resuming so the image set stays stable
+        configItems.push({
+            key: 'recursive', label: 'Folder Scan',
+            value: initialConfig.recursive ? 'true' : 'false',
+            type: resumeRun ? 'text' : 'select',
+            readonly: !!resumeRun,
+            displayValue: initialConfig.recursive ? 'Include Subfolders' : 'Root Folder Only',
+            options: [
+                { v: 'false', l: 'Root Folder Only' },
+                { v: 'true', l: 'Include Subfolders (Recursive)' }
+            ],
+            help: resumeRun ? undefined : "Recursive scans skip the metadata/ and organized_* folders."
+        });
+
+        configItems.push({
+            key: 'reuseEmbeddings', label: 'Embedding Cache',
+            value: initialConfig.reuseEmbeddings === false ? 'false' : 'true',
+            type: 'select',
+            options: [
+                { v: 'true', l: 'Reuse results from earlier runs' },
+                { v: 'false', l: 'Always recompute' }
+            ],
+            help: "Images are matched by content hash, so files already processed by this model (under any name) are not re-embedded."
+        });
+
         const defaultDevice = this.hasWebGPU ? 'webgpu' : 'wasm';
 
         // Build dynamic precision options based on available models
@@ -423,6 +604,11 @@ class App {
                 group: 'direct_clip',
                 help: precisionOptions.length > 1 ? "Quantized is recommended for most use cases." : undefined
             },
+            {
+                key: 'batchSize', label: 'Batch Size', value: initialConfig.batchSize || 8, type: 'number', step: 1, min: 1, max: 64,
+                group: 'direct_clip',
+                help: "Images per vision model call. Larger batches cut per-image overhead but use more memory."
+            },
             { key: 'modelFolderName', label: 'Model Folder', value: initialConfig.modelFolderName || 'clip-vit-base-patch16', type: 'text', readonly: true, group: 'direct_clip' }
         );
 
@@ -445,13 +631,16 @@ class App {
         if (confirmedConfig) {
             const finalConfig = {
                 mode: confirmedConfig.mode,
-                runFolder: resumeRun || undefined
+                runFolder: resumeRun || undefined,
+                recursive: confirmedConfig.recursive === 'true',
+                reuseEmbeddings: confirmedConfig.reuseEmbeddings !== 'false'
             };
 
             if (finalConfig.mode === 'direct_clip') {
                 finalConfig.device = confirmedConfig.clip_device;
                 finalConfig.modelFolderName = initialConfig.modelFolderName || 'clip-vit-base-patch16';
                 finalConfig.quantized = confirmedConfig.precision === 'quantized';
+                finalConfig.batchSize = Math.max(1, Math.round(confirmedConfig.batchSize) || 1);
             } else {
                 finalConfig.device = confirmedConfig.gemma_device;
                 finalConfig.temperature = confirmedConfig.temperature;
@@ -468,6 +657,7 @@ class App {
                 await this.generation.run(finalConfig, type);
             } finally {
                 this.isGenerationRunning = false;
+                this.search.cache = null; // Run contents may have changed
                 this.updateRunLists();
             }
         }
@@ -624,6 +814,70 @@ class App {
         document.getElementById(`tab-${tabId}`).classList.add('active');
     }
 
+    /**
+     * Parameter suggestions exist for the epsilon- and K-based algorithms only; the map needs just a run.
+     */
+    updateSuggestButton() {
+        const btn = document.getElementById('btn-suggest-params');
+        if (!btn) return;
+        const sourceRun = document.getElementById('clustering-source-select').value;
+        document.getElementById('btn-show-map').disabled = !sourceRun;
+        const algorithm = document.getElementById('clustering-algorithm-select').value;
+        btn.disabled = !sourceRun || !['dbscan', 'optics', 'kmeans', 'hierarchical'].includes(algorithm);
+    }
+
+    /**
+     * Show the curves behind a parameter suggestion.
+     * @returns {Promise<boolean>} true if the user wants to continue with the suggested value.
+     */
+    showSuggestionModal(algorithm, suggestion) {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'resume-modal';
+            const isEpsilon = suggestion.parameter === 'epsilon';
+            const message = isEpsilon
+                ? `Sorted distance from each image to its ${suggestion.minPts}-th nearest neighbour. The knee, where distances start rising steeply, separates dense regions from noise.`
+                : `Mean silhouette (higher is better) and within-cluster scatter for each K. The elbow of the scatter curve is at K = ${suggestion.ks[suggestion.elbowIndex]}.`;
+            modal.innerHTML = `
+                <div class="resume-modal-content suggestion-modal">
+                    <h2>💡 Suggested ${isEpsilon ? 'Epsilon' : 'K'} for ${algorithm.toUpperCase()}: ${suggestion.value}</h2>
+                    <p>${message}</p>
+                    <canvas class="suggestion-chart" width="520" height="220"></canvas>
+                    ${isEpsilon ? '' : '<canvas class="suggestion-chart" width="520" height="220"></canvas>'}
+                    <div class="resume-modal-actions">
+                        <button class="btn-new">Close</button>
+                        <button class="btn-resume">Use ${suggestion.value} & Continue</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const charts = modal.querySelectorAll('canvas');
+            if (isEpsilon) {
+                const xs = Array.from(suggestion.curve, (_, i) => i + 1);
+                drawLineChart(charts[0], xs, suggestion.curve, {
+                    highlight: suggestion.kneeIndex, xLabel: 'Images (sorted)', yLabel: `${suggestion.minPts}-distance`
+                });
+            } else {
+                drawLineChart(charts[0], suggestion.ks, suggestion.silhouettes, {
+                    highlight: suggestion.bestIndex, xLabel: 'K', yLabel: 'Silhouette'
+                });
+                drawLineChart(charts[1], suggestion.ks, suggestion.scatter, {
+                    highlight: suggestion.elbowIndex, xLabel: 'K', yLabel: 'Scatter', color: '#10b981'
+                });
+            }
+
+            modal.querySelector('.btn-resume').addEventListener('click', () => {
+                document.body.removeChild(modal);
+                resolve(true);
+            });
+            modal.querySelector('.btn-new').addEventListener('click', () => {
+                document.body.removeChild(modal);
+                resolve(false);
+            });
+        });
+    }
+
     showInfoModal(title, message) {
         const modal = document.createElement('div');
         modal.className = 'resume-modal';
@@ -657,14 +911,25 @@ class App {
         genSelect.innerHTML = '<option value="">Select a Generation Run...</option>';
         if (genResumeSelect) genResumeSelect.innerHTML = '<option value="">(New Run)</option>';
 
-        const totalImagesFound = await this.fs.listRootImages();
+        // Image counts for flat and recursive runs (recursive scan only done if needed)
+        const imageCounts = { root: null, recursive: null };
+        const getImageCount = async (recursive) => {
+            const key = recursive ? 'recursive' : 'root';
+            if (imageCounts[key] === null) {
+                imageCounts[key] = (await this.fs.listRootImages(recursive)).length;
+            }
+            return imageCounts[key];
+        };
 
         for (const run of genRuns) {
             // Get image count from metadata
             const filenames = await this.fs.readFile(`metadata/${run}/filenamesArray.json`, 'json');
             const count = filenames ? filenames.length : 0;
 
-            const isIncomplete = count < totalImagesFound.length;
+            // Get config if available
+            const config = await this.fs.readFile(`metadata/${run}/config.json`, 'json');
+
+            const isIncomplete = count < await getImageCount(!!(config && config.recursive));
 
             // Parse timestamp from folder name (gen_YYYY-MM-DD_HH-MM-SS...)
             let timestampPartRaw = run.replace('gen_', '');
@@ -681,8 +946,6 @@ class App {
 
             const formattedDate = this.formatRunTimestamp(timestampPart);
 
-            // Get config if available
-            const config = await this.fs.readFile(`metadata/${run}/config.json`, 'json');
             let configInfo = '';
             if (config) {
                 if (config.mode === 'direct_clip') {
@@ -690,6 +953,7 @@ class App {
                 } else {
                     configInfo = ` [Gemma ${config.device || 'gpu'}]`;
                 }
+                if (config.recursive) configInfo += ' [Recursive]';
             } else {
                 // Fallback: Infer from folder name if config.json is missing (for older runs)
                 if (run.includes('_clip')) {
@@ -718,6 +982,8 @@ class App {
 
         // Enable button if there's a pre-selected value
         clusterBtn.disabled = !genSelect.value;
+        this.updateSearchButton();
+        this.updateSuggestButton();
 
         // Filter for Clustering runs (cluster_...)
         const clusterRuns = dirs.filter(d => d.startsWith('cluster_')).sort().reverse();
@@ -727,11 +993,11 @@ class App {
 
         for (const run of clusterRuns) {
             // Get cluster count
-            const clusters = await this.fs.readFile(`metadata/${run}/clusters.json`, 'json');
-            const clusterCount = clusters ? clusters.length : 0;
+            const { clusters, unclustered } = parseClustersFile(await this.fs.readFile(`metadata/${run}/clusters.json`, 'json'));
+            const clusterCount = clusters.length;
 
             // Skip empty or invalid runs
-            if (clusterCount === 0) continue;
+            if (clusterCount === 0 && unclustered.length === 0) continue;
 
             // Parse timestamp
             const timestampPart = run.replace('cluster_', '').split('_from_')[0];
@@ -739,7 +1005,7 @@ class App {
 
             const option = document.createElement('option');
             option.value = run;
-            option.textContent = `${formattedDate} (${clusterCount} clusters)`;
+            option.textContent = `${formattedDate} (${clusterCount} clusters${unclustered.length > 0 ? ` + ${unclustered.length} unclustered` : ''})`;
             orgSelect.appendChild(option);
         }
 
@@ -750,6 +1016,14 @@ class App {
         this.updateGenerationButtons();
     }
 
+    updateSearchButton() {
+        // Text search only works on CLIP runs (image and text share one embedding space)
+        const sourceRun = document.getElementById('clustering-source-select').value;
+        const btnSearch = document.getElementById('btn-run-search');
+        btnSearch.disabled = !sourceRun || !sourceRun.includes('_clip');
+        btnSearch.title = btnSearch.disabled ? 'Select a CLIP generation run to search' : '';
+    }
+
     updateGenerationButtons() {
         const genResumeSelect = document.getElementById('gen-resume-select');
         const btnSeq = document.getElementById('btn-start-generation');
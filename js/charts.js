@@ -0,0 +1,91 @@
+// Cluster colours shared by the reachability plot and the embedding map; noise is drawn in grey
+export const CLUSTER_PALETTE = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16'];
+export const NOISE_COLOR = '#d1d5db';
+
+/**
+ * Colour for a cluster index (-1 = noise).
+ * @param {number} label
+ * @returns {string}
+ */
+export function clusterColor(label) {
+    return label < 0 ? NOISE_COLOR : CLUSTER_PALETTE[label % CLUSTER_PALETTE.length];
+}
+
+/**
+ * Minimal canvas line chart for the parameter suggestion dialog.
+ * @param {HTMLCanvasElement} canvas - Drawn at its current width/height attributes.
+ * @param {ArrayLike<number>} xs
+ * @param {ArrayLike<number>} ys
+ * @param {Object} options - `highlight` (index to mark), `xLabel`, `yLabel`, `color`.
+ */
+export function drawLineChart(canvas, xs, ys, { highlight = -1, xLabel = '', yLabel = '', color = '#3b82f6' } = {}) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = { left: 48, right: 12, top: 12, bottom: 32 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    ctx.clearRect(0, 0, width, height);
+
+    const finite = Array.from(ys).filter(Number.isFinite);
+    if (xs.length === 0 || finite.length === 0) return;
+    const minX = xs[0];
+    const maxX = xs[xs.length - 1];
+    const minY = Math.min(...finite);
+    const maxY = Math.max(...finite);
+    const px = (x) => pad.left + (maxX === minX ? 0.5 : (x - minX) / (maxX - minX)) * plotW;
+    const py = (y) => pad.top + (maxY === minY ? 0.5 : 1 - (y - minY) / (maxY - minY)) * plotH;
+
+    // Axes and labels
+    ctx.strokeStyle = '#9ca3af';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(pad.left, pad.top);
+    ctx.lineTo(pad.left, pad.top + plotH);
+    ctx.lineTo(pad.left + plotW, pad.top + plotH);
+    ctx.stroke();
+
+    ctx.fillStyle = '#6b7280';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(maxY.toFixed(3), pad.left - 4, pad.top + 8);
+    ctx.fillText(minY.toFixed(3), pad.left - 4, pad.top + plotH);
+    ctx.textAlign = 'center';
+    ctx.fillText(String(minX), pad.left, height - 18);
+    ctx.fillText(String(maxX), pad.left + plotW, height - 18);
+    ctx.fillText(xLabel, pad.left + plotW / 2, height - 4);
+    ctx.save();
+    ctx.translate(10, pad.top + plotH / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(yLabel, 0, 0);
+    ctx.restore();
+
+    // Series
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let started = false;
+    for (let i = 0; i < xs.length; i++) {
+        if (!Number.isFinite(ys[i])) continue;
+        if (started) ctx.lineTo(px(xs[i]), py(ys[i]));
+        else ctx.moveTo(px(xs[i]), py(ys[i]));
+        started = true;
+    }
+    ctx.stroke();
+
+    // Recommended point
+    if (highlight >= 0 && highlight < xs.length && Number.isFinite(ys[highlight])) {
+        const x = px(xs[highlight]);
+        const y = py(ys[highlight]);
+        ctx.strokeStyle = '#ef4444';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, pad.top);
+        ctx.lineTo(x, pad.top + plotH);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ef4444';
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
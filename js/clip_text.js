@@ -0,0 +1,74 @@
+// Transformers.js local import
+import { env, AutoTokenizer, CLIPTextModelWithProjection } from './vendor/transformers.js';
+
+/**
+ * CLIP Text Encoder
+ * Loads the text tower of a local CLIP model (`models/<folder>/onnx/text_model*.onnx`)
+ * and embeds strings into the same space as the image embeddings of a CLIP run.
+ */
+export class ClipTextEncoder {
+    constructor(logger) {
+        this.log = logger;
+        this.tokenizer = null;
+        this.model = null;
+        this.loadedKey = null; // 'folder:quantized' of the loaded model
+        this.loading = null;
+    }
+
+    /**
+     * Load the tokenizer and text model once per model folder/precision.
+     * @param {string} modelFolderName - Folder under `models/`.
+     * @param {boolean} quantized - Whether to load `text_model_quantized.onnx`.
+     */
+    async load(modelFolderName = 'clip-vit-base-patch16', quantized = true) {
+        const key = `${modelFolderName}:${quantized}`;
+        if (this.loadedKey === key) return;
+        if (this.loading && this.loading.key === key) return this.loading.promise;
+
+        const promise = (async () => {
+            this.log(`Loading CLIP text encoder from 'models/${modelFolderName}' (Quantized: ${quantized})...`);
+
+            // Configure strictly for local loading
+            env.allowLocalModels = true;
+            env.localModelPath = 'models/';
+            env.allowRemoteModels = false;
+
+            try {
+                this.tokenizer = await AutoTokenizer.from_pretrained(modelFolderName);
+                this.model = await CLIPTextModelWithProjection.from_pretrained(modelFolderName, { quantized });
+            } catch (error) {
+                this.tokenizer = null;
+                this.model = null;
+                throw new Error(`CLIP text model could not be loaded (${error.message}). Make sure models/${modelFolderName}/onnx/text_model${quantized ? '_quantized' : ''}.onnx exists.`);
+            }
+            this.loadedKey = key;
+            this.log("✅ CLIP text encoder loaded.");
+        })();
+
+        this.loading = { key, promise };
+        try {
+            await promise;
+        } finally {
+            this.loading = null;
+        }
+    }
+
+    /**
+     * Embed one or more strings.
+     * @param {string[]} texts
+     * @returns {Promise<Float32Array[]>} One projected embedding per text, in input order.
+     */
+    async embed(texts) {
+        if (!this.model) throw new Error("CLIP text encoder is not loaded.");
+
+        const inputs = this.tokenizer(texts, { padding: true, truncation: true });
+        const { text_embeds } = await this.model(inputs);
+
+        const [count, dim] = text_embeds.dims;
+        const vectors = [];
+        for (let i = 0; i < count; i++) {
+            vectors.push(text_embeds.data.slice(i * dim, (i + 1) * dim));
+        }
+        return vectors;
+    }
+}
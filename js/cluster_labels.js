@@ -0,0 +1,91 @@
+import { normalize, dot, mean } from './vector_math.js';
+
+// CLIP's learned logit scale; turns cosine similarities into a softmax over labels
+const LOGIT_SCALE = 100;
+
+export const DEFAULT_LABEL_VOCABULARY = [
+    'people', 'portrait', 'group photo', 'child', 'baby', 'selfie',
+    'dog', 'cat', 'bird', 'wildlife',
+    'beach', 'mountains', 'forest', 'lake', 'sunset', 'snow', 'desert', 'city street', 'building', 'night sky',
+    'food', 'drink', 'flowers', 'garden',
+    'car', 'airplane', 'boat', 'train',
+    'document', 'screenshot', 'receipt', 'whiteboard',
+    'party', 'wedding', 'concert', 'sports',
+    'indoor room', 'artwork'
+];
+
+/**
+ * Cluster Labeler
+ * Names clusters of a CLIP run by scoring each cluster centroid against a vocabulary
+ * of text labels embedded with the CLIP text encoder (zero-shot classification).
+ */
+export class ClusterLabeler {
+    constructor(textEncoder, logger) {
+        this.textEncoder = textEncoder;
+        this.log = logger;
+        this.labelCache = new Map(); // label -> normalised text embedding, per loaded model
+        this.cacheKey = null;
+    }
+
+    /**
+     * Parse a user-edited vocabulary (one label per line or comma separated).
+     * @param {string} text
+     * @returns {string[]} Unique, trimmed labels.
+     */
+    static parseVocabulary(text) {
+        const labels = (text || '').split(/[\n,]/).map(l => l.trim()).filter(l => l.length > 0);
+        return [...new Set(labels)];
+    }
+
+    async embedLabels(labels) {
+        if (this.cacheKey !== this.textEncoder.loadedKey) {
+            this.labelCache.clear();
+            this.cacheKey = this.textEncoder.loadedKey;
+        }
+
+        const missing = labels.filter(l => !this.labelCache.has(l));
+        const chunkSize = 32;
+        for (let i = 0; i < missing.length; i += chunkSize) {
+            const chunk = missing.slice(i, i + chunkSize);
+            // Prompt template from the CLIP paper; works better than the bare label
+            const vectors = await this.textEncoder.embed(chunk.map(l => `a photo of ${l}`));
+            chunk.forEach((label, j) => this.labelCache.set(label, normalize(vectors[j])));
+        }
+        return labels.map(l => this.labelCache.get(l));
+    }
+
+    /**
+     * Score every cluster against the vocabulary.
+     * @param {number[][]} clusters - Image indices per cluster.
+     * @param {Array<ArrayLike<number>>} embeddings - CLIP image embeddings of the run.
+     * @param {string[]} vocabulary - Candidate labels.
+     * @param {Object} modelConfig - Generation config (modelFolderName, quantized).
+     * @param {number} topN - Labels kept per cluster.
+     * @returns {Promise<Array<Array<{ label: string, score: number }>>>} Best labels first, aligned with `clusters`.
+     */
+    async labelClusters(clusters, embeddings, vocabulary, modelConfig = {}, topN = 3) {
+        await this.textEncoder.load(modelConfig.modelFolderName || 'clip-vit-base-patch16', modelConfig.quantized !== false);
+        this.log(`Naming ${clusters.length} clusters against ${vocabulary.length} labels...`);
+
+        const labelVectors = await this.embedLabels(vocabulary);
+        if (labelVectors[0].length !== embeddings[0].length) {
+            throw new Error(`Text embedding size (${labelVectors[0].length}) does not match the run's image embeddings (${embeddings[0].length}).`);
+        }
+        const normalized = embeddings.map(e => normalize(e));
+
+        return clusters.map(cluster => {
+            if (cluster.length === 0) return [];
+            const centroid = normalize(mean(normalized, cluster));
+
+            const logits = labelVectors.map(v => LOGIT_SCALE * dot(centroid, v));
+            const maxLogit = Math.max(...logits);
+            const exps = logits.map(l => Math.exp(l - maxLogit));
+            const total = exps.reduce((a, b) => a + b, 0);
+
+            return vocabulary
+                .map((label, i) => ({ label, score: exps[i] / total }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topN);
+        });
+    }
+}
@@ -0,0 +1,60 @@
+import { normalize, dot } from './vector_math.js';
+
+/**
+ * Cluster Medoids
+ * Orders a cluster's members from its most central image outwards, using cosine distances between
+ * embeddings (so it also works in approximate mode, where there is no distance matrix).
+ *   - Medoid: the member closest to the cluster's mean direction. This is O(m·d) per cluster instead
+ *     of the O(m²·d) exact medoid, and picks the same image in all but near-tie cases.
+ *   - Outliers: members whose distance to the medoid is above Tukey's upper fence (Q3 + 1.5·IQR) of the
+ *     cluster's distances, i.e. far from the rest and likely misassigned. Small clusters have no outliers.
+ */
+
+// Fewer members than this give no meaningful quartiles
+const MIN_SIZE_FOR_OUTLIERS = 5;
+
+/**
+ * @param {Array<ArrayLike<number>>} embeddings - All embeddings of the run.
+ * @param {number[]} cluster - Image indices.
+ * @returns {{ order: number[], distances: number[], outliers: number[] }} Members sorted by distance to the
+ *   medoid (medoid first), their distances in the same order, and the image indices flagged as outliers.
+ */
+export function rankByMedoid(embeddings, cluster) {
+    if (cluster.length === 0) return { order: [], distances: [], outliers: [] };
+    const vectors = cluster.map(i => normalize(embeddings[i]));
+
+    const centre = new Float32Array(vectors[0].length);
+    for (const v of vectors) for (let d = 0; d < centre.length; d++) centre[d] += v[d];
+    let medoid = 0;
+    let best = -Infinity;
+    vectors.forEach((v, k) => {
+        const similarity = dot(v, centre);
+        if (similarity > best) {
+            best = similarity;
+            medoid = k;
+        }
+    });
+
+    const ranked = vectors
+        .map((v, k) => ({ index: cluster[k], distance: k === medoid ? 0 : 1 - dot(v, vectors[medoid]) }))
+        .sort((a, b) => a.distance - b.distance);
+
+    let outliers = [];
+    if (cluster.length >= MIN_SIZE_FOR_OUTLIERS) {
+        // Medoid's own zero distance left out of the quartiles
+        const sorted = ranked.slice(1).map(r => r.distance);
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const fence = q3 + 1.5 * (q3 - q1);
+        outliers = ranked.filter(r => r.distance > fence).map(r => r.index);
+    }
+    return { order: ranked.map(r => r.index), distances: ranked.map(r => r.distance), outliers };
+}
+
+/** Linear-interpolated quantile of an ascending array. */
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
@@ -0,0 +1,137 @@
+/**
+ * Internal Cluster Validation Metrics
+ * Computed from the pairwise distance matrix of a run, so they work for any algorithm and
+ * need no embeddings. Unclustered (noise) images are left out.
+ *
+ *   - Silhouette: (b - a) / max(a, b) per image, where a is the mean distance to its own cluster and
+ *     b the mean distance to the nearest other cluster. -1..1, higher is better. Singletons score 0.
+ *   - Davies–Bouldin: mean over clusters of the worst (Sᵢ + Sⱼ) / d(mᵢ, mⱼ), using medoids mᵢ and the mean
+ *     member-to-medoid distance Sᵢ (the distance-matrix form of the centroid definition). Lower is better.
+ *   - Intra / inter distance: mean pairwise distance within clusters and between different clusters.
+ */
+
+/**
+ * Index of the member with the smallest summed distance to the other members.
+ * @param {CondensedDistanceMatrix} distanceMatrix
+ * @param {number[]} cluster - Image indices.
+ * @returns {number} Image index of the medoid.
+ */
+export function findMedoid(distanceMatrix, cluster) {
+    let best = cluster[0];
+    let bestSum = Infinity;
+    for (const i of cluster) {
+        let sum = 0;
+        for (const j of cluster) sum += distanceMatrix.get(i, j);
+        if (sum < bestSum) {
+            bestSum = sum;
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * @param {CondensedDistanceMatrix} distanceMatrix - Pairwise distances of all images in the run.
+ * @param {number[][]} clusters - Image indices per cluster.
+ * @returns {{ silhouette: number|null, daviesBouldin: number|null, meanIntraDistance: number|null,
+ *   meanInterDistance: number|null, clusters: Array<{ silhouette: number, intraDistance: number|null, nearestClusterDistance: number|null }> }}
+ *   Global scores are null when there are fewer than two non-empty clusters; empty clusters are ignored.
+ */
+export function computeClusterMetrics(distanceMatrix, clusters) {
+    const k = clusters.length;
+    const sizes = clusters.map(c => c.length);
+
+    // pairSums[a][b] = Σ d(i, j) for i in cluster a, j in cluster b (one pass over all clustered pairs)
+    const pairSums = Array.from({ length: k }, () => new Float64Array(k));
+    const silhouettes = clusters.map(() => 0);
+    let silhouetteTotal = 0;
+    let pointCount = 0;
+    const row = new Float32Array(distanceMatrix.size);
+
+    clusters.forEach((cluster, own) => {
+        for (const i of cluster) {
+            distanceMatrix.row(i, row);
+            const toCluster = new Float64Array(k);
+            clusters.forEach((other, c) => {
+                let sum = 0;
+                for (const j of other) sum += row[j];
+                toCluster[c] = sum;
+            });
+            for (let c = 0; c < k; c++) pairSums[own][c] += toCluster[c];
+
+            let s = 0;
+            if (sizes[own] > 1 && k > 1) {
+                const a = toCluster[own] / (sizes[own] - 1);
+                let b = Infinity;
+                for (let c = 0; c < k; c++) {
+                    // Empty clusters have no mean distance (0 / 0)
+                    if (c !== own && sizes[c] > 0) b = Math.min(b, toCluster[c] / sizes[c]);
+                }
+                const denominator = Math.max(a, b);
+                s = denominator > 0 && denominator < Infinity ? (b - a) / denominator : 0;
+            }
+            silhouettes[own] += s;
+            silhouetteTotal += s;
+            pointCount++;
+        }
+    });
+
+    const perCluster = clusters.map((_, c) => {
+        let nearest = null;
+        for (let o = 0; o < k; o++) {
+            if (o === c || sizes[c] === 0 || sizes[o] === 0) continue;
+            const d = pairSums[c][o] / (sizes[c] * sizes[o]);
+            if (nearest === null || d < nearest) nearest = d;
+        }
+        return {
+            silhouette: sizes[c] > 0 ? silhouettes[c] / sizes[c] : 0,
+            // Diagonal sums count every pair twice and include the zero self-distances
+            intraDistance: sizes[c] > 1 ? pairSums[c][c] / (sizes[c] * (sizes[c] - 1)) : null,
+            nearestClusterDistance: nearest
+        };
+    });
+
+    const filled = clusters.map((_, c) => c).filter(c => sizes[c] > 0);
+    if (filled.length < 2) {
+        return { silhouette: null, daviesBouldin: null, meanIntraDistance: null, meanInterDistance: null, clusters: perCluster };
+    }
+
+    let intraSum = 0;
+    let intraPairs = 0;
+    let interSum = 0;
+    let interPairs = 0;
+    for (let a = 0; a < k; a++) {
+        intraSum += pairSums[a][a];
+        intraPairs += sizes[a] * (sizes[a] - 1);
+        for (let b = a + 1; b < k; b++) {
+            interSum += pairSums[a][b];
+            interPairs += sizes[a] * sizes[b];
+        }
+    }
+
+    const medoids = clusters.map(c => (c.length > 0 ? findMedoid(distanceMatrix, c) : -1));
+    const scatter = clusters.map((cluster, c) => {
+        let sum = 0;
+        for (const i of cluster) sum += distanceMatrix.get(i, medoids[c]);
+        return cluster.length > 0 ? sum / cluster.length : 0;
+    });
+    let dbSum = 0;
+    for (const a of filled) {
+        let worst = 0;
+        for (const b of filled) {
+            if (a === b) continue;
+            const separation = distanceMatrix.get(medoids[a], medoids[b]);
+            const ratio = separation > 0 ? (scatter[a] + scatter[b]) / separation : Infinity;
+            worst = Math.max(worst, ratio);
+        }
+        dbSum += worst;
+    }
+
+    return {
+        silhouette: silhouetteTotal / pointCount,
+        daviesBouldin: dbSum / filled.length,
+        meanIntraDistance: intraPairs > 0 ? intraSum / intraPairs : null,
+        meanInterDistance: interPairs > 0 ? interSum / interPairs : null,
+        clusters: perCluster
+    };
+}
@@ -1,21 +1,75 @@
 import clustering from './vendor/density-clustering.js';
-import { agnes } from './vendor/ml-hclust.js';
+import { agglomerate } from './hierarchical.js';
+import { DBSCAN } from './dbscan.js';
+import { HDBSCAN } from './hdbscan.js';
+import { OPTICS } from './optics.js';
+import { SpectralClustering } from './spectral.js';
+import { GaussianMixture } from './gmm.js';
+import { ReachabilityPlot } from './reachability_plot.js';
+import { Dendrogram } from './dendrogram.js';
+import { computeClusterMetrics, findMedoid } from './cluster_metrics.js';
+import { rankByMedoid } from './cluster_medoids.js';
+import { kDistanceCurve, findKnee, withinClusterScatter } from './parameter_suggestion.js';
+import { EmbeddingMap } from './embedding_map.js';
+import { Lightbox } from './lightbox.js';
+import { pcaProject } from './projection.js';
+import { normalize } from './vector_math.js';
+import { computeDistanceMatrix, packNormalized } from './distance_matrix.js';
+import { HNSWIndex, buildNeighborIndex, NEIGHBOR_INDEX_FILE } from './hnsw.js';
+import { EmbeddingStore } from './embedding_store.js';
+import { GenerationJournal } from './generation_journal.js';
+import { ThumbnailRenderer } from './thumbnails.js';
+import { ClipTextEncoder } from './clip_text.js';
+import { ClusterLabeler } from './cluster_labels.js';
+import { hashToWords, hammingDistance } from './phash.js';
+import { SIDE_ARRAYS, makeClustersFile } from './run_files.js';
+
+// "Auto" neighbour search switches to the approximate index above this many images
+const APPROXIMATE_THRESHOLD = 10000;
+// Algorithms that can run on approximate neighbour queries instead of the full distance matrix
+const APPROXIMATE_ALGORITHMS = ['dbscan', 'optics', 'duplicates'];
+// Embedding neighbours whose hashes are compared in approximate near-duplicate mode
+const DUPLICATE_CANDIDATES = 20;
+// Settings offered when re-clustering one cluster: config key → main-panel input it copies (label, range, value)
+const RECLUSTER_PARAMS = {
+    dbscan: { epsilon: 'cluster-epsilon', minPts: 'cluster-minpts' },
+    optics: { epsilon: 'cluster-epsilon', minPts: 'cluster-minpts' },
+    hdbscan: { minClusterSize: 'cluster-min-cluster-size', minSamples: 'cluster-min-samples' },
+    kmeans: { k: 'cluster-k' },
+    hierarchical: { k: 'cluster-k', linkage: 'cluster-linkage', cutMode: 'cluster-hier-cut', distanceThreshold: 'cluster-distance-threshold' },
+    spectral: { k: 'cluster-k', neighbors: 'cluster-spectral-neighbors' },
+    gmm: { k: 'cluster-k', gmmDimensions: 'cluster-gmm-dims', minProbability: 'cluster-gmm-min-probability' },
+    duplicates: { hashThreshold: 'cluster-hash-threshold' }
+};
 
 export class ClusteringStep {
-    constructor(fileSystem, logger) {
+    constructor(fileSystem, logger, textEncoder = new ClipTextEncoder(logger)) {
         this.fs = fileSystem;
         this.log = logger;
+        this.labeler = new ClusterLabeler(textEncoder, logger);
+        this.embeddingStore = new EmbeddingStore(fileSystem);
+        this.journal = new GenerationJournal(fileSystem);
+        this.thumbnails = new ThumbnailRenderer(fileSystem);
+        this.lightbox = new Lightbox(fileSystem, {
+            onMove: (imgIndex, target) => this.moveImages([imgIndex], target)
+        });
+        // Dendrogram re-cut running, and the height requested meanwhile (see applyHierarchicalCut)
+        this.cutInProgress = false;
+        this.pendingCut = null;
     }
 
     async validateMetadata(sourceRun) {
         // Load all three metadata files
         const filenames = await this.fs.readFile(`metadata/${sourceRun}/filenamesArray.json`, 'json') || [];
         const captions = await this.fs.readFile(`metadata/${sourceRun}/captionsArray.json`, 'json') || [];
-        const embeddings = await this.fs.readFile(`metadata/${sourceRun}/embeddingsArray.json`, 'json') || [];
+        const { embeddings, format } = await this.embeddingStore.load(sourceRun);
+        if (format === 'json') {
+            this.log(`Loaded legacy JSON embeddings (embeddingsArray.json) for ${sourceRun}.`);
+        }
 
         // Check if all have the same length
         const lengths = [filenames.length, captions.length, embeddings.length];
-        const minLength = Math.min(...lengths);
+        let minLength = Math.min(...lengths);
         const maxLength = Math.max(...lengths);
 
         if (minLength !== maxLength) {
@@ -24,12 +78,34 @@ export class ClusteringStep {
             throw new Error(error);
         }
 
+        // Side arrays (hashes, EXIF) are optional in older runs; pad so indices stay aligned
+        const sideData = {};
+        for (const { key, file } of SIDE_ARRAYS) {
+            sideData[key] = (await this.fs.readFile(`metadata/${sourceRun}/${file}`, 'json') || []).slice(0, minLength);
+            while (sideData[key].length < minLength) sideData[key].push(null);
+        }
+
+        // Include journal records not yet compacted (read-only; Step 1 compacts on resume)
+        const processedSet = new Set(filenames);
+        const pending = (await this.journal.read(sourceRun)).filter(r => !processedSet.has(r.filename));
+        for (const record of pending) {
+            filenames.push(record.filename);
+            captions.push(record.caption);
+            embeddings.push(record.embedding);
+            for (const { key, field } of SIDE_ARRAYS) sideData[key].push(record[field] ?? null);
+        }
+        if (pending.length > 0) {
+            this.log(`Included ${pending.length} uncompacted journal record(s) from ${sourceRun}.`);
+            minLength = filenames.length;
+        }
+
         if (minLength === 0) {
             throw new Error("❌ Metadata files are empty. Please run Step 1 first.");
         }
 
-        // Check against actual folder image count
-        const actualImages = await this.fs.listRootImages();
+        // Check against actual folder image count (recursive runs count subfolders too)
+        const runConfig = await this.fs.readFile(`metadata/${sourceRun}/config.json`, 'json');
+        const actualImages = await this.fs.listRootImages(!!(runConfig && runConfig.recursive));
         if (minLength < actualImages.length) {
             const missing = actualImages.length - minLength;
             const proceed = await this.showWarningModal(
@@ -51,7 +127,7 @@ export class ClusteringStep {
         }
 
         this.log(`✅ Metadata validation passed: ${minLength} images ready for clustering.`);
-        return { filenames, captions, embeddings };
+        return { filenames, captions, embeddings, ...sideData, runConfig };
     }
 
     showWarningModal(title, message, stats, confirmText, cancelText) {
@@ -100,15 +176,9 @@ export class ClusteringStep {
         try {
             // Validate metadata integrity first
             console.log('About to validate metadata...');
-            const { filenames, captions, embeddings } = await this.validateMetadata(sourceRun);
+            const { filenames, captions, embeddings, hashes, exif, runConfig } = await this.validateMetadata(sourceRun);
             console.log('Validation passed, got:', filenames.length, 'files');
 
-            // Calculate Distance Matrix
-            this.log("Calculating distance matrix...");
-            console.log('Calculating distance matrix for', embeddings.length, 'embeddings');
-            const distanceMatrix = embeddings.map(e1 => embeddings.map(e2 => this.cosineDistance(e1, e2)));
-            console.log('Distance matrix calculated');
-
             // Visual Cue: Clustering in Progress
             const resultsArea = document.getElementById('clustering-results-area');
             if (resultsArea) {
@@ -117,44 +187,56 @@ export class ClusteringStep {
                     <div style="font-size: 2rem; margin-bottom: 1rem;">⏳</div>
                     <h3>Clustering in Progress...</h3>
                     <p>Running ${config.algorithm.toUpperCase()} on ${filenames.length} images.</p>
-                    <small>This may take a few seconds...</small>
+                    <small class="clustering-progress">This may take a few seconds...</small>
                 </div>
                 `;
             }
+            const progressText = resultsArea?.querySelector('.clustering-progress');
 
-            // Allow UI to render the loading state
-            await new Promise(r => setTimeout(r, 100));
+            const showProgress = (label) => (fraction) => {
+                if (progressText) progressText.textContent = `${label}... ${Math.round(fraction * 100)}%`;
+            };
 
-            let clusters;
-            if (config.algorithm === 'kmeans') {
-                // K-Means uses raw embeddings, not distance matrix
-                clusters = this.runKMEANS(embeddings, config);
-            } else if (config.algorithm === 'hierarchical') {
-                clusters = this.runHierarchical(distanceMatrix, config);
-            } else if (config.algorithm === 'optics') {
-                clusters = this.runOPTICS(distanceMatrix, config);
-            } else if (config.algorithm === 'hdbscan') {
-                clusters = this.runHDBSCAN(distanceMatrix, config);
-            } else {
-                // Default to DBSCAN
-                clusters = this.runDBSCAN(distanceMatrix, config);
+            // Large runs can use the approximate neighbour index instead of the n² distance matrix
+            config.approximate = this.useApproximateNeighbors(config, embeddings.length);
+            let neighborIndex = null;
+            if (config.approximate) {
+                neighborIndex = await this.loadNeighborIndex(sourceRun, embeddings, showProgress('Building neighbour index'));
             }
 
-            console.log(`${config.algorithm} completed, found ${clusters.length} clusters`);
+            // Calculate Distance Matrix (near-duplicate mode compares hashes instead)
+            let distanceMatrix = null;
+            if (config.algorithm !== 'duplicates' && !config.approximate) {
+                this.log("Calculating distance matrix...");
+                console.log('Calculating distance matrix for', embeddings.length, 'embeddings');
+                distanceMatrix = await this.computeDistanceMatrix(embeddings, showProgress('Calculating distances'));
+                console.log('Distance matrix calculated');
+            }
+
+            if (progressText) progressText.textContent = 'This may take a few seconds...';
 
-            // Sort clusters by size
-            const orderedClusters = clusters.sort((a, b) => b.length - a.length);
+            // Allow UI to render the loading state
+            await new Promise(r => setTimeout(r, 100));
 
-            this.log(`Clustering complete. Found ${orderedClusters.length} clusters.`);
+            this.currentProbabilities = null;
+            this.currentOptics = null;
+            this.currentTree = null;
+            const clusters = this.runAlgorithm(config, { embeddings, hashes, distanceMatrix, neighborIndex });
 
-            // Store state for saving later
-            this.currentClusters = orderedClusters;
+            console.log(`${config.algorithm} completed, found ${clusters.length} clusters`);
+
+            // Store state for saving later (and for re-extraction from the reachability plot)
             this.currentFilenames = filenames;
             this.currentCaptions = captions;
+            this.currentEmbeddings = embeddings;
+            this.currentHashes = hashes;
+            this.currentDistanceMatrix = distanceMatrix;
+            this.currentExif = exif;
+            this.currentRunConfig = runConfig;
             this.currentSourceRun = sourceRun;
             this.currentConfig = config;
 
-            this.displayResults(orderedClusters, filenames, captions);
+            await this.presentClusters(clusters);
 
         } catch (error) {
             this.log(`Clustering failed: ${error.message}`, 'error');
@@ -174,10 +256,203 @@ export class ClusteringStep {
         }
     }
 
-    runDBSCAN(distanceMatrix, config) {
-        this.log(`Running DBSCAN (Eps: ${config.epsilon}, MinPts: ${config.minPts})...`);
-        const dbscan = new clustering.DBSCAN();
-        return dbscan.run(distanceMatrix, config.epsilon, config.minPts);
+    /**
+     * Run `config.algorithm` on prepared inputs.
+     * @param {Object} config
+     * @param {Object} data - `embeddings`, `hashes`, and `distanceMatrix` or `neighborIndex` (whichever was prepared).
+     * @returns {number[][]} Indices into `embeddings` per cluster.
+     */
+    runAlgorithm(config, { embeddings, hashes, distanceMatrix, neighborIndex }) {
+        if (config.algorithm === 'kmeans') {
+            // K-Means uses raw embeddings, not distance matrix
+            return this.runKMEANS(embeddings, config);
+        } else if (config.algorithm === 'hierarchical') {
+            return this.runHierarchical(distanceMatrix, config);
+        } else if (config.algorithm === 'optics') {
+            return this.runOPTICS(distanceMatrix || neighborIndex, config);
+        } else if (config.algorithm === 'hdbscan') {
+            return this.runHDBSCAN(distanceMatrix, config);
+        } else if (config.algorithm === 'spectral') {
+            return this.runSpectral(distanceMatrix, config);
+        } else if (config.algorithm === 'gmm') {
+            return this.runGMM(embeddings, config);
+        } else if (config.algorithm === 'duplicates') {
+            return this.runNearDuplicates(hashes, config, neighborIndex);
+        }
+        // Default to DBSCAN
+        return this.runDBSCAN(distanceMatrix || neighborIndex, config);
+    }
+
+    /**
+     * Sort, name and display a clustering result for the current run.
+     * @param {number[][]} clusters - Image indices per cluster.
+     */
+    async presentClusters(clusters) {
+        const config = this.currentConfig;
+
+        // Sort clusters by size (K-Means can leave some empty)
+        const orderedClusters = clusters.filter(c => c.length > 0).sort((a, b) => b.length - a.length);
+
+        this.log(`Clustering complete. Found ${orderedClusters.length} clusters.`);
+
+        // Zero-shot names for CLIP runs (optional; clustering results stand on their own)
+        this.currentLabels = null;
+        const runConfig = this.currentRunConfig;
+        const isClipRun = runConfig ? runConfig.mode === 'direct_clip' : this.currentSourceRun.includes('_clip');
+        const vocabulary = config.labelVocabulary || [];
+        if (config.autoLabel && isClipRun && vocabulary.length > 0 && orderedClusters.length > 0) {
+            try {
+                this.currentLabels = await this.labeler.labelClusters(orderedClusters, this.currentEmbeddings, vocabulary, runConfig || {});
+            } catch (e) {
+                this.log(`⚠️ Automatic cluster naming skipped: ${e.message}`, 'error');
+            }
+        }
+
+        // Everything no cluster claimed (density noise, singletons) forms the Unclustered group
+        const assigned = new Uint8Array(this.currentFilenames.length);
+        orderedClusters.forEach(cluster => cluster.forEach(i => { assigned[i] = 1; }));
+        this.currentNoise = [];
+        assigned.forEach((isAssigned, i) => { if (!isAssigned) this.currentNoise.push(i); });
+        if (this.currentNoise.length > 0) {
+            this.log(`${this.currentNoise.length} image(s) were not assigned to any cluster (shown as Unclustered).`);
+        }
+
+        // Validation metrics from the distance matrix (not computed in near-duplicate mode, which has none)
+        this.currentMetrics = null;
+        if (this.currentDistanceMatrix && orderedClusters.length > 0) {
+            this.currentMetrics = computeClusterMetrics(this.currentDistanceMatrix, orderedClusters);
+            const { silhouette, daviesBouldin } = this.currentMetrics;
+            if (silhouette !== null) {
+                this.log(`Quality: silhouette ${silhouette.toFixed(3)}, Davies–Bouldin ${daviesBouldin.toFixed(3)}.`);
+            }
+        }
+
+        this.currentClusters = orderedClusters;
+        // User-given names, aligned with currentClusters (null = unnamed)
+        this.currentNames = orderedClusters.map(() => null);
+        this.orderClusters();
+        this.selectedImages = new Set();
+        this.undoStack = [];
+        this.displayResults(orderedClusters, this.currentFilenames, this.currentCaptions);
+        this.updateReachabilityPlot();
+        this.updateDendrogram();
+        if (this.embeddingMap && this.mapSourceRun === this.currentSourceRun) {
+            this.embeddingMap.setLabels(this.getImageLabels());
+        }
+    }
+
+    /**
+     * Sort each cluster's members by distance to its medoid (medoid first, so it is the cover image)
+     * and flag members far from the rest. Clusters are reordered in place, so saved files keep this order.
+     */
+    orderClusters() {
+        this.currentMedoidDistances = new Float32Array(this.currentFilenames.length);
+        this.currentOutliers = new Set();
+        for (const cluster of this.currentClusters) {
+            const { order, distances, outliers } = rankByMedoid(this.currentEmbeddings, cluster);
+            order.forEach((imgIndex, k) => {
+                cluster[k] = imgIndex;
+                this.currentMedoidDistances[imgIndex] = distances[k];
+            });
+            outliers.forEach(i => this.currentOutliers.add(i));
+        }
+    }
+
+    /**
+     * Cluster index per image of the current result (-1 = unclustered).
+     * @returns {number[]}
+     */
+    getImageLabels() {
+        const labels = new Array(this.currentFilenames.length).fill(-1);
+        this.currentClusters.forEach((cluster, c) => cluster.forEach(i => { labels[i] = c; }));
+        return labels;
+    }
+
+    /**
+     * Show the 2D embedding map of a run. Reuses the loaded clustering result (and its colours)
+     * when it belongs to the same run; otherwise loads the run's metadata.
+     * @param {string} sourceRun - Generation run folder.
+     */
+    async showEmbeddingMap(sourceRun) {
+        const area = document.getElementById('embedding-map-area');
+        if (!area) return;
+        try {
+            let data;
+            let labels;
+            if (this.currentSourceRun === sourceRun && this.currentEmbeddings) {
+                data = { embeddings: this.currentEmbeddings, filenames: this.currentFilenames, captions: this.currentCaptions };
+                labels = this.getImageLabels();
+            } else {
+                const { filenames, captions, embeddings } = await this.validateMetadata(sourceRun);
+                data = { embeddings, filenames, captions };
+                labels = new Array(filenames.length).fill(-1);
+            }
+            if (data.embeddings.length === 0) throw new Error("This run has no embeddings.");
+
+            // t-SNE needs pairwise distances; reuse the clustering matrix when there is one
+            let distanceMatrix = this.currentSourceRun === sourceRun ? this.currentDistanceMatrix : null;
+            data.getDistanceMatrix = async () => {
+                if (!distanceMatrix) distanceMatrix = await this.computeDistanceMatrix(data.embeddings);
+                return distanceMatrix;
+            };
+
+            area.hidden = false;
+            if (!this.embeddingMap) this.embeddingMap = new EmbeddingMap(area, this.thumbnails);
+            this.mapSourceRun = sourceRun;
+            this.log(`Projecting ${data.embeddings.length} embeddings of ${sourceRun} to 2D...`);
+            this.embeddingMap.setData(data, labels);
+        } catch (error) {
+            this.log(`Embedding map failed: ${error.message}`, 'error');
+            console.error('Embedding map error:', error);
+        }
+    }
+
+    /**
+     * Whether this run should use approximate neighbour queries (HNSW) rather than the full distance matrix.
+     * @param {Object} config - Clustering config; `neighborSearch` is 'auto' (default), 'exact' or 'approximate'.
+     * @param {number} count - Number of images in the run.
+     */
+    useApproximateNeighbors(config, count) {
+        if (!APPROXIMATE_ALGORITHMS.includes(config.algorithm)) return false;
+        const mode = config.neighborSearch || 'auto';
+        return mode === 'approximate' || (mode === 'auto' && count > APPROXIMATE_THRESHOLD);
+    }
+
+    /**
+     * Load the run's persisted HNSW index, or build it in a worker and save it next to the embeddings.
+     * A missing, unreadable or outdated index (e.g. after the run was resumed) is rebuilt.
+     * @param {string} sourceRun - Generation run folder.
+     * @param {Array<ArrayLike<number>>} embeddings
+     * @param {Function} [onProgress] - Called with the completed fraction (0..1) while building.
+     * @returns {Promise<HNSWIndex>}
+     */
+    async loadNeighborIndex(sourceRun, embeddings, onProgress) {
+        const packed = packNormalized(embeddings);
+        const path = `metadata/${sourceRun}/${NEIGHBOR_INDEX_FILE}`;
+        const buffer = await this.fs.readFile(path, 'arraybuffer');
+        if (buffer) {
+            try {
+                const index = HNSWIndex.decode(buffer, packed.vectors, packed.n, packed.dim);
+                this.log(`⚡ Approximate mode: using the saved neighbour index for ${packed.n} images.`);
+                return index;
+            } catch (error) {
+                this.log(`Rebuilding neighbour index: ${error.message}`);
+            }
+        }
+
+        this.log(`⚡ Approximate mode: building a neighbour index for ${packed.n} images (saved for next time)...`);
+        const { index, buffer: encoded } = await buildNeighborIndex(packed, {}, onProgress);
+        await this.fs.writeFile(path, encoded);
+        this.log(`Neighbour index saved to ${sourceRun}.`);
+        return index;
+    }
+
+    /**
+     * @param {CondensedDistanceMatrix|HNSWIndex} source - Exact or approximate neighbour source.
+     */
+    runDBSCAN(source, config) {
+        this.log(`Running DBSCAN (Eps: ${config.epsilon}, MinPts: ${config.minPts})${config.approximate ? ' on approximate neighbours' : ''}...`);
+        return new DBSCAN().run(source, config.epsilon, config.minPts);
     }
 
     runKMEANS(embeddings, config) {
@@ -186,33 +461,75 @@ export class ClusteringStep {
         return kmeans.run(embeddings, config.k);
     }
 
-    runOPTICS(distanceMatrix, config) {
-        this.log(`Running OPTICS (Eps: ${config.epsilon}, MinPts: ${config.minPts})...`);
-        const optics = new clustering.OPTICS();
-        // OPTICS run returns clusters similar to DBSCAN in this library
-        return optics.run(distanceMatrix, config.epsilon, config.minPts);
+    /**
+     * @param {CondensedDistanceMatrix|HNSWIndex} source - Exact or approximate neighbour source.
+     */
+    runOPTICS(source, config) {
+        this.log(`Running OPTICS (Eps: ${config.epsilon}, MinPts: ${config.minPts})${config.approximate ? ' on approximate neighbours' : ''}...`);
+        // Exact: full ordering (no radius limit) so the plot can be cut anywhere; Epsilon is the initial cut.
+        // Approximate: radius queries need a bound, so the plot can only be cut at or below Epsilon.
+        const optics = new OPTICS();
+        optics.run(source, config.minPts, config.approximate ? config.epsilon : Infinity);
+        this.currentOptics = optics;
+        config.opticsExtraction = 'threshold';
+        return optics.extractByThreshold(config.epsilon);
     }
 
-    runHierarchical(distanceMatrix, config) {
-        this.log(`Running Hierarchical Clustering (K: ${config.k}, Linkage: ${config.linkage})...`);
+    /**
+     * Re-extract OPTICS clusters from the stored ordering (no distance recomputation).
+     * @param {'threshold'|'xi'} method
+     * @param {number} value - Threshold distance or xi steepness.
+     * @param {number} minClusterSize - Used by xi extraction.
+     */
+    async applyOpticsExtraction(method, value, minClusterSize) {
+        if (!this.currentOptics) return;
+        let clusters;
+        if (method === 'xi') {
+            this.log(`Extracting OPTICS clusters by steepness (Xi: ${value}, Min Cluster Size: ${minClusterSize})...`);
+            clusters = this.currentOptics.extractXi(value, minClusterSize);
+            this.currentConfig = { ...this.currentConfig, opticsExtraction: 'xi', xi: value, xiMinClusterSize: minClusterSize };
+        } else {
+            this.log(`Extracting OPTICS clusters at threshold ${value.toFixed(3)}...`);
+            clusters = this.currentOptics.extractByThreshold(value);
+            this.currentConfig = { ...this.currentConfig, opticsExtraction: 'threshold', epsilon: Number(value.toFixed(4)) };
+        }
+        await this.presentClusters(clusters);
+    }
 
-        try {
-            const tree = agnes(distanceMatrix, {
-                method: config.linkage || 'average',
-                isDistanceMatrix: true
+    /**
+     * Show the reachability plot for OPTICS results (coloured by the displayed clusters), hide it otherwise.
+     */
+    updateReachabilityPlot() {
+        const area = document.getElementById('reachability-plot-area');
+        if (!area) return;
+        if (!this.currentOptics) {
+            area.hidden = true;
+            return;
+        }
+        area.hidden = false;
+        if (!this.reachabilityPlot) {
+            this.reachabilityPlot = new ReachabilityPlot(area, {
+                onThreshold: (eps) => this.applyOpticsExtraction('threshold', eps),
+                onXi: (xi, minSize) => this.applyOpticsExtraction('xi', xi, minSize)
             });
+        }
+
+        const labelOf = this.getImageLabels();
+        const optics = this.currentOptics;
+        const threshold = this.currentConfig.opticsExtraction === 'xi' ? null : this.currentConfig.epsilon;
+        this.reachabilityPlot.render(optics.getReachabilityPlot(), optics.ordering.map(p => labelOf[p]), threshold);
+    }
 
-            // Use group(k) to force k clusters
-            const groups = tree.group(config.k);
-            console.log('Hierarchical Tree Grouping:', groups);
+    runHierarchical(distanceMatrix, config) {
+        const cut = config.cutMode === 'threshold' ? `Distance Threshold: ${config.distanceThreshold}` : `K: ${config.k}`;
+        this.log(`Running Hierarchical Clustering (${cut}, Linkage: ${config.linkage})...`);
 
-            const clusters = [];
+        try {
+            const tree = agglomerate(distanceMatrix, config.linkage || 'average');
 
-            // groups is Array<Cluster>
-            for (const clusterNode of groups) {
-                const indices = this.getAllIndices(clusterNode);
-                if (indices.length > 0) clusters.push(indices);
-            }
+            // Kept so the dendrogram can re-cut it without recomputing
+            this.currentTree = tree;
+            const clusters = this.cutTree(tree, config);
             console.log('Hierarchical found clusters:', clusters.length);
             return clusters;
         } catch (err) {
@@ -221,8 +538,134 @@ export class ClusteringStep {
         }
     }
 
+    /**
+     * Clusters from a hierarchical tree: K groups (the K-1 highest merges undone) or,
+     * with `cutMode: 'threshold'`, every branch merged at or below the distance threshold.
+     * @param {Object} tree - Root Cluster returned by agglomerate.
+     * @param {Object} config - `cutMode`, `k`, `distanceThreshold`.
+     * @returns {number[][]}
+     */
+    cutTree(tree, config) {
+        // group() wraps the K groups as the children of a new root; cut() returns the branches directly
+        const nodes = config.cutMode === 'threshold'
+            ? tree.cut(Math.max(0, config.distanceThreshold))
+            : tree.group(config.k).children;
+        return nodes.map(node => this.getAllIndices(node)).filter(indices => indices.length > 0);
+    }
+
+    /**
+     * Re-cut the stored hierarchical tree at a new height (from the dendrogram).
+     * @param {number} height
+     */
+    async applyHierarchicalCut(height) {
+        if (!this.currentTree) return;
+        // A cut released while the previous one is still labelling waits; only the latest height matters
+        if (this.cutInProgress) {
+            this.pendingCut = height;
+            return;
+        }
+        this.cutInProgress = true;
+        try {
+            this.log(`Cutting the tree at height ${height.toFixed(3)}...`);
+            // A fresh cut has none of the previous result's manual edits
+            const { manualEdits, subClusterings, ...config } = this.currentConfig;
+            this.currentConfig = { ...config, cutMode: 'threshold', distanceThreshold: Number(height.toFixed(4)) };
+            await this.presentClusters(this.cutTree(this.currentTree, this.currentConfig));
+        } finally {
+            this.cutInProgress = false;
+        }
+        if (this.pendingCut !== null) {
+            const next = this.pendingCut;
+            this.pendingCut = null;
+            await this.applyHierarchicalCut(next);
+        }
+    }
+
+    /**
+     * Whether the displayed result has manual edits, re-clusters or names that a new cut would discard.
+     */
+    hasClusterEdits() {
+        return (this.undoStack && this.undoStack.length > 0) || (this.currentNames || []).some(Boolean);
+    }
+
+    /**
+     * Ask before a re-cut discards the user's edits.
+     * @returns {Promise<boolean>} True to discard them.
+     */
+    confirmDiscardEdits() {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'resume-modal';
+            modal.innerHTML = `
+                <div class="resume-modal-content">
+                    <h2>⚠️ Discard Edits?</h2>
+                    <p>Cutting the tree again replaces the displayed clusters, so their manual edits, re-clusters and names are lost (save first to keep them). Discard them and cut the tree where you clicked? You can then drag the cut line freely.</p>
+                    <div class="resume-modal-actions">
+                        <button class="btn-new">Keep Edits</button>
+                        <button class="btn-resume">Discard Edits</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+            const close = (result) => {
+                document.body.removeChild(modal);
+                resolve(result);
+            };
+            modal.querySelector('.btn-new').addEventListener('click', () => close(false));
+            modal.querySelector('.btn-resume').addEventListener('click', () => close(true));
+        });
+    }
+
+    /**
+     * Show the dendrogram for hierarchical results (coloured by the displayed clusters), hide it otherwise.
+     */
+    updateDendrogram() {
+        const area = document.getElementById('dendrogram-area');
+        if (!area) return;
+        if (!this.currentTree) {
+            area.hidden = true;
+            return;
+        }
+        area.hidden = false;
+        if (!this.dendrogram) {
+            this.dendrogram = new Dendrogram(area, this.thumbnails, {
+                onCut: (height) => this.applyHierarchicalCut(height),
+                canCut: (height) => {
+                    if (!this.hasClusterEdits()) return true;
+                    // The drag is refused; once confirmed, cut where the user pressed
+                    this.confirmDiscardEdits().then((discard) => {
+                        if (discard) this.applyHierarchicalCut(height);
+                    });
+                    return false;
+                }
+            });
+        }
+        this.dendrogram.render(this.currentTree, this.getImageLabels(), this.getCutHeight(),
+            this.currentFilenames, this.currentCaptions);
+    }
+
+    /**
+     * Height at which the current result cuts the tree. For a K cut, a line halfway between
+     * the lowest undone merge and the highest kept one.
+     * @returns {number}
+     */
+    getCutHeight() {
+        const config = this.currentConfig;
+        if (config.cutMode === 'threshold') return config.distanceThreshold;
+        const heights = [];
+        this.currentTree.traverse(node => {
+            if (node.children.length > 0) heights.push(node.height);
+        });
+        heights.sort((a, b) => b - a);
+        const k = Math.max(1, Math.min(config.k, heights.length + 1));
+        const above = k >= 2 ? heights[k - 2] : this.currentTree.height * 1.05;
+        const below = heights[k - 1] ?? 0;
+        return (above + below) / 2;
+    }
+
     getAllIndices(node) {
-        if (node.children) {
+        // Leaves carry an empty children array
+        if (node.children && node.children.length > 0) {
             let indices = [];
             for (const child of node.children) {
                 indices = indices.concat(this.getAllIndices(child));
@@ -238,11 +681,97 @@ export class ClusteringStep {
     }
 
     runHDBSCAN(distanceMatrix, config) {
-        this.log(`Running HDBSCAN (via OPTICS, Eps: ${config.epsilon}, MinPts: ${config.minPts})...`);
-        // Now using user-defined epsilon to allow manual tuning
-        const optics = new clustering.OPTICS();
-        const clusters = optics.run(distanceMatrix, config.epsilon, config.minPts);
-        console.log('HDBSCAN found:', clusters.length, 'clusters');
+        this.log(`Running HDBSCAN (Min Cluster Size: ${config.minClusterSize}, Min Samples: ${config.minSamples})...`);
+        const hdbscan = new HDBSCAN();
+        const clusters = hdbscan.run(distanceMatrix, config.minClusterSize, config.minSamples);
+        // Per-image membership strength, shown in tooltips and saved with the clusters
+        this.currentProbabilities = hdbscan.probabilities;
+        this.log(`HDBSCAN found ${clusters.length} clusters; ${hdbscan.noise.length} image(s) left as noise.`);
+        return clusters;
+    }
+
+    runSpectral(distanceMatrix, config) {
+        this.log(`Running Spectral Clustering (K: ${config.k}, Neighbours: ${config.neighbors})...`);
+        const spectral = new SpectralClustering();
+        const clusters = spectral.run(distanceMatrix, config.k, config.neighbors);
+        this.log(`Spectral clustering found ${clusters.length} clusters.`);
+        return clusters;
+    }
+
+    /**
+     * Gaussian mixture on the top principal components of the normalised embeddings.
+     * Images whose strongest membership is below `config.minProbability` stay unclustered.
+     */
+    runGMM(embeddings, config) {
+        const dimensions = config.gmmDimensions || 10;
+        this.log(`Running Gaussian Mixture (K: ${config.k}, PCA dimensions: ${dimensions}, Min probability: ${config.minProbability})...`);
+        const points = pcaProject(embeddings.map(e => normalize(e)), dimensions);
+        const gmm = new GaussianMixture();
+        const clusters = gmm.run(points, config.k, { minProbability: config.minProbability || 0 });
+        this.currentProbabilities = gmm.probabilities;
+        const unassigned = gmm.labels.filter(l => l === -1).length;
+        this.log(`Gaussian mixture found ${clusters.length} clusters; ${unassigned} image(s) below the minimum probability.`);
+        return clusters;
+    }
+
+    /**
+     * Group images whose perceptual hashes differ by at most `config.hashThreshold` bits.
+     * Groups are the connected components of that "near duplicate" relation; singletons are dropped.
+     * With a neighbour index only each image's nearest embedding neighbours are compared, instead of all pairs.
+     * @param {HNSWIndex|null} neighborIndex
+     */
+    runNearDuplicates(hashes, config, neighborIndex = null) {
+        const threshold = config.hashThreshold ?? 10;
+        this.log(`Running Near Duplicate detection (Hamming distance ≤ ${threshold} of 64 bits)...`);
+
+        const hashed = [];
+        hashes.forEach((h, index) => { if (h) hashed.push({ index, words: hashToWords(h) }); });
+        if (hashed.length === 0) {
+            throw new Error("This run has no perceptual hashes. Re-run Step 1 to compute them.");
+        }
+        if (hashed.length < hashes.length) {
+            this.log(`⚠️ ${hashes.length - hashed.length} image(s) have no hash and were skipped.`);
+        }
+
+        // Union-find over all pairs within the threshold
+        const parent = hashed.map((_, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const link = (i, j) => {
+            if (hammingDistance(hashed[i].words, hashed[j].words) <= threshold) {
+                const a = find(i);
+                const b = find(j);
+                if (a !== b) parent[b] = a;
+            }
+        };
+        if (neighborIndex) {
+            const position = new Map(hashed.map(({ index }, i) => [index, i]));
+            for (let i = 0; i < hashed.length; i++) {
+                for (const neighbor of neighborIndex.knn(hashed[i].index, DUPLICATE_CANDIDATES).indices) {
+                    const j = position.get(neighbor);
+                    if (j !== undefined && j !== i) link(i, j);
+                }
+            }
+        } else {
+            for (let i = 0; i < hashed.length; i++) {
+                for (let j = i + 1; j < hashed.length; j++) link(i, j);
+            }
+        }
+
+        const groups = new Map();
+        hashed.forEach(({ index }, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(index);
+        });
+
+        const clusters = [...groups.values()].filter(g => g.length > 1);
+        console.log('Near duplicates found:', clusters.length, 'groups');
         return clusters;
     }
 
@@ -250,39 +779,121 @@ export class ClusteringStep {
         if (!this.currentClusters) return;
 
         const selectedIndices = this.getSelectedClusterIndices();
-        if (selectedIndices.length === 0) {
+        const saveUnclustered = this.isUnclusteredSelected() && this.currentNoise && this.currentNoise.length > 0;
+        if (selectedIndices.length === 0 && !saveUnclustered) {
             alert("No clusters selected to save.");
             return;
         }
 
         const clustersToSave = selectedIndices.map(i => this.currentClusters[i]);
+        const namesToSave = selectedIndices.map(i => this.currentNames[i]);
 
         // Create Run Folder
         const runFolder = await this.fs.createRunFolder('cluster', this.currentSourceRun);
         console.log('Created run folder:', runFolder);
 
         // Save Results
-        await this.fs.writeFile(`metadata/${runFolder}/clusters.json`, JSON.stringify(clustersToSave));
-        await this.fs.writeFile(`metadata/${runFolder}/config.json`, JSON.stringify(this.currentConfig));
+        const clustersFile = makeClustersFile(clustersToSave, namesToSave, saveUnclustered ? this.currentNoise : []);
+        await this.fs.writeFile(`metadata/${runFolder}/clusters.json`, JSON.stringify(clustersFile));
+        if (this.currentLabels) {
+            // Zero-shot labels aligned with clusters.json, offered as folder names in Step 3
+            const labelsToSave = selectedIndices.map(i => this.currentLabels[i] || []);
+            await this.fs.writeFile(`metadata/${runFolder}/clusterLabels.json`, JSON.stringify(labelsToSave));
+        }
+        if (this.currentProbabilities) {
+            // Membership probabilities (HDBSCAN, Gaussian Mixture, or re-clustered sub-runs) aligned with clusters.json
+            const probabilitiesToSave = clustersToSave.map(c => c.map(i => Number(this.currentProbabilities[i].toFixed(4))));
+            await this.fs.writeFile(`metadata/${runFolder}/membershipProbabilities.json`, JSON.stringify(probabilitiesToSave));
+        }
+        // Metrics describe the full result; per-cluster entries are aligned with clusters.json
+        const configToSave = { ...this.currentConfig };
+        if (this.currentMetrics) {
+            const { clusters: perCluster, ...overall } = this.currentMetrics;
+            configToSave.metrics = { ...overall, clusters: selectedIndices.map(i => perCluster[i]) };
+        }
+        await this.fs.writeFile(`metadata/${runFolder}/config.json`, JSON.stringify(configToSave));
 
-        this.log(`✅ Saved ${clustersToSave.length} selected clusters to ${runFolder}`);
+        this.log(`✅ Saved ${clustersToSave.length} selected clusters${saveUnclustered ? ` and ${this.currentNoise.length} unclustered image(s)` : ''} to ${runFolder}`);
         alert(`Saved ${clustersToSave.length} clusters successfully!`);
     }
 
-    cosineDistance(a, b) {
-        // Native implementation
-        let dot = 0;
-        let magA = 0;
-        let magB = 0;
-        for (let i = 0; i < a.length; i++) {
-            dot += a[i] * b[i];
-            magA += a[i] * a[i];
-            magB += b[i] * b[i];
+    /**
+     * Suggest clustering parameters for a run.
+     * DBSCAN/OPTICS: epsilon at the knee of the k-distance curve (k = MinPts).
+     * K-Means/hierarchical: K with the best mean silhouette over a sweep, with the scatter (elbow) curve alongside.
+     * @param {string} sourceRun - Generation run folder.
+     * @param {string} algorithm
+     * @param {Object} params - `minPts` and `neighborSearch` for density algorithms, `linkage` for hierarchical.
+     * @returns {Promise<Object>} `{ parameter: 'epsilon', value, curve, kneeIndex }` or
+     *   `{ parameter: 'k', value, ks, silhouettes, scatter, bestIndex, elbowIndex }`.
+     */
+    async suggestParameters(sourceRun, algorithm, params = {}) {
+        const { embeddings } = await this.validateMetadata(sourceRun);
+        if (embeddings.length < 3) throw new Error("Need at least 3 images to suggest parameters.");
+        this.log(`Analysing ${embeddings.length} embeddings to suggest parameters...`);
+
+        if (algorithm === 'dbscan' || algorithm === 'optics') {
+            const minPts = params.minPts || 2;
+            // Same neighbour source the run itself would use, so large runs skip the n² matrix here too
+            const source = this.useApproximateNeighbors({ algorithm, neighborSearch: params.neighborSearch }, embeddings.length)
+                ? await this.loadNeighborIndex(sourceRun, embeddings)
+                : await this.computeDistanceMatrix(embeddings);
+            const curve = kDistanceCurve(source, minPts);
+            const kneeIndex = findKnee(curve);
+            const value = Number(curve[kneeIndex].toFixed(2));
+            this.log(`Suggested epsilon ${value} (knee of the ${minPts}-distance curve).`);
+            return { parameter: 'epsilon', value, curve, kneeIndex, minPts };
+        }
+
+        if (algorithm !== 'kmeans' && algorithm !== 'hierarchical') {
+            throw new Error(`No parameter suggestion for ${algorithm}.`);
+        }
+
+        const distanceMatrix = await this.computeDistanceMatrix(embeddings);
+
+        // Hierarchical: build the tree once and cut it at every K
+        let cut;
+        if (algorithm === 'hierarchical') {
+            const tree = agglomerate(distanceMatrix, params.linkage || 'average');
+            cut = (k) => this.cutTree(tree, { k });
+        } else {
+            cut = (k) => new clustering.KMEANS().run(embeddings, k).filter(c => c.length > 0);
+        }
+
+        const maxK = Math.min(15, embeddings.length - 1);
+        const ks = [];
+        const silhouettes = [];
+        const scatter = [];
+        for (let k = 2; k <= maxK; k++) {
+            const clusters = cut(k);
+            const metrics = computeClusterMetrics(distanceMatrix, clusters);
+            const medoids = clusters.map(c => findMedoid(distanceMatrix, c));
+            ks.push(k);
+            silhouettes.push(metrics.silhouette ?? -1);
+            scatter.push(withinClusterScatter(distanceMatrix, clusters, medoids));
+            // Keep the page responsive during the sweep
+            await new Promise(r => setTimeout(r, 0));
         }
-        if (magA === 0 || magB === 0) return 1.0;
 
-        const similarity = dot / (Math.sqrt(magA) * Math.sqrt(magB));
-        return 1 - similarity;
+        const bestIndex = silhouettes.indexOf(Math.max(...silhouettes));
+        const elbowIndex = findKnee(scatter);
+        this.log(`Suggested K = ${ks[bestIndex]} (best silhouette ${silhouettes[bestIndex].toFixed(3)}; elbow at K = ${ks[elbowIndex]}).`);
+        return { parameter: 'k', value: ks[bestIndex], ks, silhouettes, scatter, bestIndex, elbowIndex };
+    }
+
+    /**
+     * Pairwise cosine distances between all embeddings, computed in a worker.
+     * @param {Array<ArrayLike<number>>} embeddings
+     * @param {Function} [onProgress] - Called with the completed fraction (0..1).
+     * @returns {Promise<CondensedDistanceMatrix>}
+     */
+    async computeDistanceMatrix(embeddings, onProgress) {
+        try {
+            return await computeDistanceMatrix(embeddings, onProgress);
+        } catch (error) {
+            const n = embeddings.length;
+            throw new Error(`Could not compute the distance matrix for ${n} images (${((n * (n - 1)) / 2 * 4 / 1e6).toFixed(0)} MB): ${error.message}`);
+        }
     }
 
     async displayResults(clusters, filenames, captions) {
@@ -299,8 +910,9 @@ export class ClusteringStep {
         // Calculate summary stats
         const totalImages = clusters.reduce((sum, c) => sum + c.length, 0);
         const avgSize = clusters.length > 0 ? (totalImages / clusters.length).toFixed(1) : 0;
-        const largestCluster = clusters.length > 0 ? clusters[0].length : 0;
-        const smallestCluster = clusters.length > 0 ? clusters[clusters.length - 1].length : 0;
+        // Not clusters[0]: manual edits keep the cluster order but change sizes
+        const largestCluster = clusters.reduce((max, c) => Math.max(max, c.length), 0);
+        const smallestCluster = clusters.length > 0 ? clusters.reduce((min, c) => Math.min(min, c.length), Infinity) : 0;
 
         // Render Summary Stats
         const statsDiv = document.getElementById('cluster-summary-stats');
@@ -325,10 +937,42 @@ export class ClusteringStep {
                 <span class="stat-value">${smallestCluster}</span>
                 <span class="stat-label">Smallest</span>
             </div>
+            <div class="stat-item">
+                <span class="stat-value">${(this.currentNoise || []).length}</span>
+                <span class="stat-label">Unclustered</span>
+            </div>
         `;
+        if (this.currentConfig?.approximate) {
+            statsDiv.innerHTML += `
+            <div class="stat-item" title="Neighbours came from the approximate HNSW index instead of the full distance matrix; a few true neighbours may be missed and quality metrics are skipped.">
+                <span class="stat-value">⚡ HNSW</span>
+                <span class="stat-label">Approximate</span>
+            </div>
+            `;
+        }
+        const metrics = this.currentMetrics;
+        if (metrics && metrics.silhouette !== null) {
+            const format = (v) => (v === null ? '–' : Number.isFinite(v) ? v.toFixed(3) : '∞');
+            statsDiv.innerHTML += `
+            <div class="stat-item" title="Mean silhouette, -1..1 (higher = tighter, better separated clusters)">
+                <span class="stat-value">${format(metrics.silhouette)}</span>
+                <span class="stat-label">Silhouette</span>
+            </div>
+            <div class="stat-item" title="Davies–Bouldin index (lower is better)">
+                <span class="stat-value">${format(metrics.daviesBouldin)}</span>
+                <span class="stat-label">Davies–Bouldin</span>
+            </div>
+            <div class="stat-item" title="Mean distance within clusters / between clusters">
+                <span class="stat-value">${format(metrics.meanIntraDistance)} / ${format(metrics.meanInterDistance)}</span>
+                <span class="stat-label">Intra / Inter</span>
+            </div>
+            `;
+        }
 
         // Render all clusters
         this.renderClusters(clusters, filenames, captions, resultsContainer, 1);
+        this.updateEditToolbar();
+        this.updateUndoButton();
 
         // Attach listeners if not already attached
         if (!this.listenersAttached) {
@@ -345,6 +989,24 @@ export class ClusteringStep {
                 document.querySelectorAll('.cluster-checkbox').forEach(cb => cb.checked = false);
             });
 
+            // Manual edits of the selected images
+            document.getElementById('btn-move-images').addEventListener('click', () => {
+                const target = document.getElementById('cluster-edit-target').value;
+                if (target) this.moveImages([...this.selectedImages], target === 'noise' ? 'noise' : parseInt(target));
+            });
+            document.getElementById('btn-split-images').addEventListener('click', () => {
+                this.moveImages([...this.selectedImages], 'new');
+            });
+            document.getElementById('btn-remove-images').addEventListener('click', () => {
+                this.moveImages([...this.selectedImages], 'noise');
+            });
+            document.getElementById('btn-undo-cluster-edit').addEventListener('click', () => this.undoClusterEdit());
+            document.getElementById('btn-clear-image-selection').addEventListener('click', () => {
+                this.selectedImages.clear();
+                document.querySelectorAll('.cluster-image.selected').forEach(el => el.classList.remove('selected'));
+                this.updateEditToolbar();
+            });
+
             this.listenersAttached = true;
         }
     }
@@ -354,112 +1016,597 @@ export class ClusteringStep {
 
         const filteredClusters = clusters.map((c, i) => ({ cluster: c, originalIndex: i }))
             .filter(item => item.cluster.length >= minSize);
+        const noise = this.currentNoise || [];
 
-        if (filteredClusters.length === 0) {
+        if (filteredClusters.length === 0 && noise.length === 0) {
             container.innerHTML = '<div class="placeholder-text">No clusters match the filter criteria.</div>';
             return;
         }
 
         filteredClusters.forEach(({ cluster, originalIndex }) => {
-            const clusterDiv = document.createElement('div');
-            clusterDiv.className = 'cluster-group';
-            clusterDiv.dataset.clusterIndex = originalIndex;
-
-            // Header with checkbox and collapse toggle
-            const header = document.createElement('div');
-            header.className = 'cluster-header';
-            header.innerHTML = `
-                <label class="cluster-select">
-                    <input type="checkbox" class="cluster-checkbox" data-index="${originalIndex}" checked>
-                </label>
-                <h3 class="cluster-title">Cluster ${originalIndex + 1} <span class="cluster-count">(${cluster.length} images)</span></h3>
-                <button class="collapse-btn">▶</button>
-            `;
-            clusterDiv.appendChild(header);
-
-            // Collapsible content
-            const content = document.createElement('div');
-            content.className = 'cluster-content collapsed';
-
-            const grid = document.createElement('div');
-            grid.className = 'cluster-grid';
-
-            // Lazy load images using IntersectionObserver
-            const observer = new IntersectionObserver((entries, obs) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const img = entry.target;
-                        const idx = img.dataset.index;
-                        this.fs.readFile(filenames[idx], 'blob').then(async (blob) => {
-                            if (blob) {
-                                try {
-                                    // Create a thumbnail on the fly to save memory
-                                    const imgBitmap = await createImageBitmap(blob);
-                                    const canvas = document.createElement('canvas');
-                                    const ctx = canvas.getContext('2d');
-
-                                    // Set thumbnail size
-                                    const size = 300;
-                                    const scale = Math.min(size / imgBitmap.width, size / imgBitmap.height);
-                                    canvas.width = imgBitmap.width * scale;
-                                    canvas.height = imgBitmap.height * scale;
-
-                                    ctx.drawImage(imgBitmap, 0, 0, canvas.width, canvas.height);
-
-                                    img.src = canvas.toDataURL('image/jpeg', 0.85); // Compress to Jpeg
-                                    imgBitmap.close(); // Immediate memory release
-                                    img.removeAttribute('data-index');
-                                    obs.unobserve(img);
-                                } catch (e) {
-                                    console.error("Thumbnail error:", e);
-                                    // Fallback to original if canvas fails
-                                    img.src = URL.createObjectURL(blob);
-                                    img.removeAttribute('data-index');
-                                    obs.unobserve(img);
-                                }
-                            }
-                        });
-                    }
+            const labels = this.currentLabels && this.currentLabels[originalIndex];
+            container.appendChild(this.createClusterGroup(cluster, filenames, captions, `Cluster ${originalIndex + 1}`, originalIndex, labels));
+        });
+
+        // Images no cluster claimed (density noise) stay visible so they can be saved and organized too
+        if (noise.length > 0) {
+            const group = this.createClusterGroup(noise, filenames, captions, 'Unclustered', 'noise', null);
+            group.classList.add('unclustered');
+            container.appendChild(group);
+        }
+    }
+
+    /**
+     * Collapsible cluster block: header with selection checkbox, title and labels, then a thumbnail grid.
+     * @param {number[]} cluster - Image indices.
+     * @param {string} title
+     * @param {number|string} checkboxIndex - Cluster index, or 'noise' for the unclustered group.
+     * @param {Array<{ label: string, score: number }>|null} labels - Zero-shot labels, best first.
+     */
+    createClusterGroup(cluster, filenames, captions, title, checkboxIndex, labels) {
+        const clusterDiv = document.createElement('div');
+        clusterDiv.className = 'cluster-group';
+        clusterDiv.dataset.clusterIndex = checkboxIndex;
+
+        // Header with checkbox and collapse toggle
+        const header = document.createElement('div');
+        header.className = 'cluster-header';
+        header.innerHTML = `
+            <label class="cluster-select">
+                <input type="checkbox" class="cluster-checkbox" data-index="${checkboxIndex}" checked>
+            </label>
+            <h3 class="cluster-title"><span class="cluster-name">${title}</span> <span class="cluster-count">(${cluster.length} images)</span></h3>
+            <button class="collapse-btn">▶</button>
+        `;
+        const metrics = typeof checkboxIndex === 'number' && this.currentMetrics ? this.currentMetrics.clusters[checkboxIndex] : null;
+        if (metrics) {
+            const metricsEl = document.createElement('span');
+            metricsEl.className = 'cluster-metrics';
+            metricsEl.textContent = `silhouette ${metrics.silhouette.toFixed(2)}` +
+                (metrics.intraDistance !== null ? ` · intra ${metrics.intraDistance.toFixed(3)}` : '') +
+                (metrics.nearestClusterDistance !== null ? ` · nearest ${metrics.nearestClusterDistance.toFixed(3)}` : '');
+            header.querySelector('.cluster-count').after(metricsEl);
+        }
+        if (typeof checkboxIndex === 'number') {
+            // Editable name; saved in clusters.json and used as the folder name in Step 3
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'cluster-name-input';
+            nameInput.placeholder = title;
+            nameInput.value = this.currentNames[checkboxIndex] || '';
+            nameInput.title = 'Cluster name (used as its folder name when organizing)';
+            nameInput.addEventListener('input', () => {
+                this.currentNames[checkboxIndex] = nameInput.value.trim() || null;
+            });
+            header.querySelector('.cluster-name').replaceWith(nameInput);
+        }
+        if (typeof checkboxIndex === 'number' && cluster.length > 0) {
+            // Medoid (first member) as the cluster's cover
+            const cover = this.thumbnails.createImage(filenames[cluster[0]], 'cluster-cover');
+            cover.title = `Most central image: ${filenames[cluster[0]]}`;
+            header.querySelector('.cluster-select').after(cover);
+
+            const outlierCount = cluster.filter(i => this.currentOutliers.has(i)).length;
+            if (outlierCount > 0) {
+                const outliersEl = document.createElement('span');
+                outliersEl.className = 'cluster-outliers';
+                outliersEl.title = 'Images much farther from the most central image than the rest (marked in the grid)';
+                outliersEl.textContent = `⚠️ ${outlierCount} far from centre`;
+                header.querySelector('.cluster-count').after(outliersEl);
+            }
+        }
+        if (labels && labels.length > 0) {
+            const labelsEl = document.createElement('span');
+            labelsEl.className = 'cluster-labels';
+            labels.forEach(({ label, score }, rank) => {
+                const chip = document.createElement('span');
+                chip.className = rank === 0 ? 'cluster-label best' : 'cluster-label';
+                chip.textContent = `${label} ${(score * 100).toFixed(0)}%`;
+                labelsEl.appendChild(chip);
+            });
+            header.querySelector('.cluster-title').appendChild(labelsEl);
+        }
+        if (typeof checkboxIndex === 'number') {
+            // Options are filled in when opened, so long results don't build n² option elements
+            const merge = document.createElement('select');
+            merge.className = 'cluster-merge-select';
+            merge.title = 'Move all images of this cluster into another one';
+            merge.innerHTML = '<option value="">Merge into…</option>';
+            merge.addEventListener('focus', () => {
+                merge.innerHTML = '<option value="">Merge into…</option>';
+                this.currentClusters.forEach((c, i) => {
+                    if (i !== checkboxIndex) merge.add(new Option(`${this.clusterName(i)} (${c.length})`, i));
                 });
-            }, { rootMargin: '100px' });
+            });
+            merge.addEventListener('change', () => {
+                if (merge.value !== '') this.moveImages([...this.currentClusters[checkboxIndex]], parseInt(merge.value));
+            });
+            header.querySelector('.collapse-btn').before(merge);
+
+            const recluster = document.createElement('button');
+            recluster.className = 'secondary-btn cluster-recluster-btn';
+            recluster.title = 'Run an algorithm on this cluster only and replace it with the sub-clusters';
+            recluster.textContent = '🔍 Re-cluster';
+            recluster.addEventListener('click', async () => {
+                const subConfig = await this.showReclusterModal(checkboxIndex);
+                if (!subConfig) return;
+                recluster.disabled = true;
+                recluster.textContent = '⏳ Re-clustering...';
+                await this.reclusterCluster(checkboxIndex, subConfig);
+                // Only still on screen when the re-cluster failed
+                recluster.disabled = false;
+                recluster.textContent = '🔍 Re-cluster';
+            });
+            header.querySelector('.collapse-btn').before(recluster);
+        }
+        clusterDiv.appendChild(header);
 
-            cluster.forEach(imgIndex => {
-                const imgContainer = document.createElement('div');
-                imgContainer.className = 'cluster-image';
+        // Dropping dragged thumbnails on a cluster moves them there
+        clusterDiv.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('application/x-cluster-images')) return;
+            e.preventDefault();
+            clusterDiv.classList.add('drop-target');
+        });
+        clusterDiv.addEventListener('dragleave', (e) => {
+            if (!clusterDiv.contains(e.relatedTarget)) clusterDiv.classList.remove('drop-target');
+        });
+        clusterDiv.addEventListener('drop', (e) => {
+            clusterDiv.classList.remove('drop-target');
+            const data = e.dataTransfer.getData('application/x-cluster-images');
+            if (!data) return;
+            e.preventDefault();
+            this.moveImages(JSON.parse(data), checkboxIndex);
+        });
+
+        // Collapsible content
+        const content = document.createElement('div');
+        content.className = 'cluster-content collapsed';
+
+        const grid = this.thumbnails.createGrid(cluster, filenames, captions, (imgContainer, imgIndex, position) => {
+            const img = imgContainer.querySelector('img');
+            if (this.currentProbabilities) {
+                img.title += `\nMembership: ${(this.currentProbabilities[imgIndex] * 100).toFixed(0)}%`;
+            }
+            const details = this.formatExif(this.currentExif && this.currentExif[imgIndex]);
+            if (details) img.title += `\n${details}`;
+            if (typeof checkboxIndex === 'number') {
+                const distance = this.currentMedoidDistances[imgIndex];
+                if (position === 0) {
+                    imgContainer.classList.add('medoid');
+                    img.title += '\nMost central image (cluster cover)';
+                } else {
+                    img.title += `\nDistance to most central image: ${distance.toFixed(3)}`;
+                }
+                if (this.currentOutliers.has(imgIndex)) {
+                    imgContainer.classList.add('outlier');
+                    img.title += '\n⚠️ Far from the rest of the cluster: possibly misassigned';
+                }
+            }
+
+            // Click opens the lightbox; Ctrl/Cmd/Shift-click selects for the edit toolbar;
+            // dragging moves the selection (or just this image)
+            imgContainer.classList.toggle('selected', this.selectedImages.has(imgIndex));
+            imgContainer.draggable = true;
+            imgContainer.addEventListener('click', (e) => {
+                if (!(e.ctrlKey || e.metaKey || e.shiftKey)) {
+                    this.openLightbox(cluster, position);
+                    return;
+                }
+                if (this.selectedImages.has(imgIndex)) this.selectedImages.delete(imgIndex);
+                else this.selectedImages.add(imgIndex);
+                imgContainer.classList.toggle('selected', this.selectedImages.has(imgIndex));
+                this.updateEditToolbar();
+            });
+            imgContainer.addEventListener('dragstart', (e) => {
+                const dragged = this.selectedImages.has(imgIndex) ? [...this.selectedImages] : [imgIndex];
+                e.dataTransfer.setData('application/x-cluster-images', JSON.stringify(dragged));
+                e.dataTransfer.effectAllowed = 'move';
+            });
+        });
+
+        content.appendChild(grid);
+        clusterDiv.appendChild(content);
+
+        // Collapse toggle
+        header.querySelector('.collapse-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const isCollapsed = content.classList.toggle('collapsed');
+            e.target.textContent = isCollapsed ? '▶' : '▼';
+        });
+        return clusterDiv;
+    }
+
+    /**
+     * Open the full-size viewer on one member of a displayed group.
+     * @param {number[]} group - A cluster of `currentClusters`, or `currentNoise`.
+     * @param {number} position - Position of the image in the group.
+     */
+    openLightbox(group, position) {
+        // Looked up on each call: manual edits renumber clusters while the viewer is open
+        const own = () => (group === this.currentNoise ? 'noise' : this.currentClusters.indexOf(group));
+        this.lightbox.open({
+            indices: group,
+            position,
+            filenames: this.currentFilenames,
+            captions: this.currentCaptions,
+            getClusterName: () => {
+                const c = own();
+                return c === 'noise' ? 'Unclustered' : this.clusterName(c);
+            },
+            getTargets: () => {
+                const c = own();
+                const targets = this.currentClusters
+                    .map((cluster, i) => ({ value: i, label: `${this.clusterName(i)} (${cluster.length})` }))
+                    .filter(t => t.value !== c);
+                if (c !== 'noise') targets.push({ value: 'noise', label: 'Unclustered' });
+                return targets;
+            },
+            describe: (imgIndex) => {
+                const parts = [];
+                if (this.currentProbabilities) parts.push(`Membership: ${(this.currentProbabilities[imgIndex] * 100).toFixed(0)}%`);
+                if (this.currentOutliers.has(imgIndex)) parts.push('⚠️ Far from the rest of the cluster');
+                parts.push(this.formatExif(this.currentExif && this.currentExif[imgIndex]));
+                return parts.filter(Boolean).join(' · ');
+            }
+        });
+    }
 
-                const img = document.createElement('img');
-                img.title = captions[imgIndex];
-                img.dataset.index = imgIndex; // Store index for observer
-                img.alt = "Loading...";
+    /**
+     * Show the edit toolbar while images are selected, with the clusters they can be moved to.
+     */
+    updateEditToolbar() {
+        const toolbar = document.getElementById('cluster-edit-toolbar');
+        if (!toolbar) return;
+        const count = this.selectedImages ? this.selectedImages.size : 0;
+        toolbar.hidden = count === 0;
+        if (count === 0) return;
+        document.getElementById('cluster-edit-count').textContent = `${count} image(s) selected`;
+        const target = document.getElementById('cluster-edit-target');
+        target.innerHTML = '<option value="">Move to…</option>';
+        this.currentClusters.forEach((c, i) => target.add(new Option(`${this.clusterName(i)} (${c.length})`, i)));
+        target.add(new Option('Unclustered', 'noise'));
+    }
 
-                // Show a placeholder or small icon first
-                img.src = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIxIiBoZWlnaHQ9IjEiPjxyZWN0IHdpZHRoPSIxIiBoZWlnaHQ9IjEiIGZpbGw9IiNmM2Y0ZjYiLz48L3N2Zz4=';
+    /**
+     * Display name of cluster i: the name given in the results view, else "Cluster N".
+     * @param {number} i
+     * @returns {string}
+     */
+    clusterName(i) {
+        return (this.currentNames && this.currentNames[i]) || `Cluster ${i + 1}`;
+    }
 
-                observer.observe(img);
+    /**
+     * Manually move images into a cluster, into a new cluster (split), or out of every cluster.
+     * Edits change `currentClusters` / `currentNoise` in place, so they are what gets saved.
+     * @param {number[]} indices - Image indices.
+     * @param {number|'new'|'noise'} target - Cluster index, 'new' to split them off, or 'noise' for Unclustered.
+     */
+    moveImages(indices, target) {
+        const moving = new Set(indices);
+        if (moving.size === 0) return;
+        const destination = target === 'new' ? [] : target === 'noise' ? this.currentNoise : this.currentClusters[target];
+        if (!destination) return;
+
+        const name = target === 'new' ? 'a new cluster' : target === 'noise' ? 'Unclustered' : this.clusterName(target);
+        this.applyClusterEdit(`✏️ Moved ${moving.size} image(s) to ${name}.`, () => {
+            this.pushUndo(`move of ${moving.size} image(s)`);
+            for (const group of [...this.currentClusters, this.currentNoise]) {
+                if (group === destination) continue;
+                let kept = 0;
+                for (const i of group) if (!moving.has(i)) group[kept++] = i;
+                group.length = kept;
+            }
+            const present = new Set(destination);
+            for (const i of moving) if (!present.has(i)) destination.push(i);
+            if (target === 'new') {
+                this.currentClusters.push(destination);
+                this.currentNames.push(null);
+                if (this.currentLabels) this.currentLabels.push([]);
+            }
+            // Recorded in the saved config.json, so a run shows it was corrected by hand
+            this.currentConfig.manualEdits = (this.currentConfig.manualEdits || 0) + 1;
+        });
+    }
 
-                imgContainer.appendChild(img);
-                grid.appendChild(imgContainer);
+    /**
+     * Change the displayed result and re-render: drop emptied clusters, refresh metrics and views,
+     * and keep each remaining group's checkbox and expanded state.
+     * @param {string} message - Logged once the edit is shown.
+     * @param {Function} edit - Changes `currentClusters` / `currentNoise` / `currentNames` / `currentLabels`. Runs after the
+     *   view state is read, because that is keyed by the clusters' positions before the edit.
+     */
+    applyClusterEdit(message, edit) {
+        const resultsContainer = document.getElementById('clustering-results-area');
+        const previous = new Map();
+        resultsContainer.querySelectorAll('.cluster-group').forEach(group => {
+            const key = group.dataset.clusterIndex;
+            previous.set(key === 'noise' ? this.currentNoise : this.currentClusters[parseInt(key)], {
+                checked: group.querySelector('.cluster-checkbox').checked,
+                expanded: !group.querySelector('.cluster-content').classList.contains('collapsed')
             });
+        });
+
+        edit();
+        const keep = this.currentClusters.map(c => c.length > 0);
+        this.currentNames = this.currentNames.filter((_, i) => keep[i]);
+        if (this.currentLabels) this.currentLabels = this.currentLabels.filter((_, i) => keep[i]);
+        this.currentClusters = this.currentClusters.filter(c => c.length > 0);
+        this.orderClusters();
+        this.currentMetrics = this.currentDistanceMatrix && this.currentClusters.length > 0
+            ? computeClusterMetrics(this.currentDistanceMatrix, this.currentClusters)
+            : null;
+        this.selectedImages.clear();
+
+        this.displayResults(this.currentClusters, this.currentFilenames, this.currentCaptions);
+        const minSize = parseInt(document.getElementById('cluster-min-filter').value) || 1;
+        if (minSize > 1) this.renderClusters(this.currentClusters, this.currentFilenames, this.currentCaptions, resultsContainer, minSize);
+        resultsContainer.querySelectorAll('.cluster-group').forEach(group => {
+            const key = group.dataset.clusterIndex;
+            const state = previous.get(key === 'noise' ? this.currentNoise : this.currentClusters[parseInt(key)]);
+            if (!state) return;
+            group.querySelector('.cluster-checkbox').checked = state.checked;
+            if (state.expanded) group.querySelector('.collapse-btn').click();
+        });
+        this.updateReachabilityPlot();
+        this.updateDendrogram();
+        if (this.embeddingMap && this.mapSourceRun === this.currentSourceRun) {
+            this.embeddingMap.setLabels(this.getImageLabels());
+        }
+        this.log(message);
+    }
+
+    /**
+     * Remember the current grouping so the next edit can be undone. The cluster arrays themselves are
+     * kept (with a copy of their members), so undo restores them in place and their view state survives.
+     * @param {string} description - Shown on the undo button, e.g. "re-cluster of Cluster 2".
+     */
+    pushUndo(description) {
+        this.undoStack.push({
+            description,
+            clusters: this.currentClusters.map(cluster => ({ cluster, members: [...cluster] })),
+            noise: [...this.currentNoise],
+            names: [...this.currentNames],
+            labels: this.currentLabels ? [...this.currentLabels] : null,
+            probabilities: this.currentProbabilities ? this.currentProbabilities.slice() : null,
+            config: { ...this.currentConfig }
+        });
+    }
+
+    undoClusterEdit() {
+        const snapshot = this.undoStack.pop();
+        if (!snapshot) return;
+        const restore = (group, members) => {
+            members.forEach((i, k) => { group[k] = i; });
+            group.length = members.length;
+            return group;
+        };
+        this.applyClusterEdit(`↶ Undid ${snapshot.description}.`, () => {
+            this.currentClusters = snapshot.clusters.map(({ cluster, members }) => restore(cluster, members));
+            restore(this.currentNoise, snapshot.noise);
+            this.currentNames = snapshot.names;
+            this.currentLabels = snapshot.labels;
+            this.currentProbabilities = snapshot.probabilities;
+            this.currentConfig = snapshot.config;
+        });
+    }
+
+    updateUndoButton() {
+        const button = document.getElementById('btn-undo-cluster-edit');
+        if (!button) return;
+        const last = this.undoStack && this.undoStack[this.undoStack.length - 1];
+        button.hidden = !last;
+        if (last) button.textContent = `↶ Undo ${last.description}`;
+    }
+
+    /**
+     * Ask which algorithm and settings to re-cluster one cluster with. Settings start from the main panel's values.
+     * @param {number} clusterIndex
+     * @returns {Promise<Object|null>} Config (`algorithm` plus its parameters), or null when cancelled.
+     */
+    showReclusterModal(clusterIndex) {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'resume-modal';
+            modal.innerHTML = `
+                <div class="resume-modal-content">
+                    <h2></h2>
+                    <p>Runs an algorithm on this cluster's ${this.currentClusters[clusterIndex].length} images only and replaces it with the sub-clusters. Images no sub-cluster claims go to Unclustered. This can be undone.</p>
+                    <div class="form-group">
+                        <label for="recluster-algorithm">Algorithm</label>
+                        <select id="recluster-algorithm">${document.getElementById('clustering-algorithm-select').innerHTML}</select>
+                    </div>
+                    <div class="recluster-params"></div>
+                    <div class="resume-modal-actions">
+                        <button class="btn-new">Cancel</button>
+                        <button class="btn-resume">Re-cluster</button>
+                    </div>
+                </div>
+            `;
 
-            content.appendChild(grid);
-            clusterDiv.appendChild(content);
-            container.appendChild(clusterDiv);
+            modal.querySelector('h2').textContent = `🔍 Re-cluster ${this.clusterName(clusterIndex)}`;
+
+            // One block per algorithm, with copies of the main panel's inputs
+            const params = modal.querySelector('.recluster-params');
+            for (const [algorithm, fields] of Object.entries(RECLUSTER_PARAMS)) {
+                const block = document.createElement('div');
+                block.className = 'algo-params';
+                block.dataset.algo = algorithm;
+                for (const [key, id] of Object.entries(fields)) {
+                    const source = document.getElementById(id);
+                    if (!source) continue;
+                    const input = source.cloneNode(true);
+                    input.id = `recluster-${algorithm}-${id}`;
+                    input.value = source.value;
+                    input.dataset.key = key;
+                    const label = document.createElement('label');
+                    label.htmlFor = input.id;
+                    label.textContent = document.querySelector(`label[for="${id}"]`)?.textContent || key;
+                    const group = document.createElement('div');
+                    group.className = 'form-group';
+                    group.append(label, input);
+                    block.appendChild(group);
+                }
+                params.appendChild(block);
+            }
+            const select = modal.querySelector('#recluster-algorithm');
+            select.value = this.currentConfig.algorithm;
+            const showParams = () => params.querySelectorAll('.algo-params').forEach(block => {
+                block.hidden = block.dataset.algo !== select.value;
+            });
+            select.addEventListener('change', showParams);
+            showParams();
 
-            // Collapse toggle
-            header.querySelector('.collapse-btn').addEventListener('click', (e) => {
-                e.stopPropagation();
-                const isCollapsed = content.classList.toggle('collapsed');
-                e.target.textContent = isCollapsed ? '▶' : '▼';
+            document.body.appendChild(modal);
+            const close = (result) => {
+                document.body.removeChild(modal);
+                resolve(result);
+            };
+            modal.querySelector('.btn-new').addEventListener('click', () => close(null));
+            modal.querySelector('.btn-resume').addEventListener('click', () => {
+                const config = { algorithm: select.value };
+                params.querySelectorAll(`.algo-params[data-algo="${select.value}"] [data-key]`).forEach(input => {
+                    config[input.dataset.key] = input.type === 'number'
+                        ? (parseFloat(input.value) || parseFloat(input.min) || 0)
+                        : input.value;
+                });
+                close(config);
             });
         });
     }
 
+    /**
+     * Drill down: run an algorithm on one cluster's members and replace the cluster, in place,
+     * with the resulting sub-clusters (largest first). Members no sub-cluster claims become unclustered.
+     * @param {number} clusterIndex
+     * @param {Object} config - From showReclusterModal.
+     */
+    async reclusterCluster(clusterIndex, config) {
+        const parent = this.currentClusters[clusterIndex];
+        const members = [...parent];
+        const parentName = this.clusterName(clusterIndex);
+        this.log(`Re-clustering ${parentName} (${members.length} images) with ${config.algorithm}...`);
+
+        let result;
+        try {
+            result = await this.clusterSubset(members, config);
+        } catch (error) {
+            this.log(`Re-clustering failed: ${error.message}`, 'error');
+            console.error('Re-clustering error:', error);
+            return;
+        }
+        const subClusters = result.clusters
+            .map(cluster => cluster.map(k => members[k]))
+            .filter(cluster => cluster.length > 0)
+            .sort((a, b) => b.length - a.length);
+        const claimed = new Set(subClusters.flat());
+        const leftOver = members.filter(i => !claimed.has(i));
+
+        // Name the sub-clusters too when the result was auto-labelled
+        let subLabels = null;
+        const vocabulary = this.currentConfig.labelVocabulary || [];
+        if (this.currentLabels && vocabulary.length > 0 && subClusters.length > 0) {
+            try {
+                subLabels = await this.labeler.labelClusters(subClusters, this.currentEmbeddings, vocabulary, this.currentRunConfig || {});
+            } catch (e) {
+                this.log(`⚠️ Automatic naming of the sub-clusters skipped: ${e.message}`, 'error');
+            }
+        }
+
+        // The result may have been edited while the sub-run was working
+        if (!this.currentClusters.includes(parent) || parent.length !== members.length) {
+            this.log('Re-clustering discarded: the cluster was edited in the meantime.', 'error');
+            return;
+        }
+        const message = `🔍 ${parentName} split into ${subClusters.length} sub-cluster(s)` +
+            (leftOver.length > 0 ? `; ${leftOver.length} image(s) moved to Unclustered.` : '.');
+        this.applyClusterEdit(message, () => {
+            this.pushUndo(`re-cluster of ${parentName}`);
+            const at = this.currentClusters.indexOf(parent);
+            // A named cluster passes its name on as "Name 1", "Name 2", ...
+            const name = this.currentNames[at];
+            this.currentClusters.splice(at, 1, ...subClusters);
+            this.currentNames.splice(at, 1, ...subClusters.map((_, k) => (name ? `${name} ${k + 1}` : null)));
+            if (this.currentLabels) this.currentLabels.splice(at, 1, ...subClusters.map((_, k) => (subLabels && subLabels[k]) || []));
+            for (const i of leftOver) this.currentNoise.push(i);
+            if (result.probabilities) {
+                if (!this.currentProbabilities) {
+                    // The rest of a hard clustering are full members; its unclustered images none
+                    this.currentProbabilities = new Float32Array(this.currentFilenames.length).fill(1);
+                    for (const i of this.currentNoise) this.currentProbabilities[i] = 0;
+                }
+                members.forEach((i, k) => { this.currentProbabilities[i] = result.probabilities[k]; });
+            } else if (this.currentProbabilities) {
+                // Hard sub-clustering: the parent's membership strengths no longer apply
+                for (const i of members) this.currentProbabilities[i] = claimed.has(i) ? 1 : 0;
+            }
+            // Saved with config.json so the organised folders can be traced back to their settings
+            const { approximate, neighborSearch, ...settings } = config;
+            this.currentConfig.subClusterings = [...(this.currentConfig.subClusterings || []), { images: members.length, ...settings }];
+        });
+    }
+
+    /**
+     * Run an algorithm on some of the current images without changing the displayed result.
+     * Reuses the run's distance matrix when there is one.
+     * @param {number[]} members - Image indices.
+     * @param {Object} config
+     * @returns {Promise<{ clusters: number[][], probabilities: ArrayLike<number>|null }>} Clusters as positions in `members`.
+     */
+    async clusterSubset(members, config) {
+        const embeddings = members.map(i => this.currentEmbeddings[i]);
+        const hashes = members.map(i => this.currentHashes?.[i]);
+        config.neighborSearch = this.currentConfig.neighborSearch;
+        config.approximate = this.useApproximateNeighbors(config, members.length);
+
+        let neighborIndex = null;
+        let distanceMatrix = null;
+        if (config.approximate) {
+            ({ index: neighborIndex } = await buildNeighborIndex(packNormalized(embeddings)));
+        } else if (config.algorithm !== 'duplicates') {
+            distanceMatrix = this.currentDistanceMatrix
+                ? this.currentDistanceMatrix.subset(members)
+                : await this.computeDistanceMatrix(embeddings);
+        }
+
+        // The algorithms also record whole-result state (probabilities, OPTICS ordering, tree); keep the parent's
+        const parentState = [this.currentProbabilities, this.currentOptics, this.currentTree];
+        this.currentProbabilities = null;
+        try {
+            const clusters = this.runAlgorithm(config, { embeddings, hashes, distanceMatrix, neighborIndex });
+            return { clusters, probabilities: this.currentProbabilities };
+        } finally {
+            [this.currentProbabilities, this.currentOptics, this.currentTree] = parentState;
+        }
+    }
+
+    /**
+     * One-line summary of an image's EXIF fields for tooltips, e.g. "📅 2023-06-01 14:02 · 📷 Canon EOS R5 · 4000×3000".
+     * @param {Object|null} exif - Entry of exifArray.json.
+     * @returns {string}
+     */
+    formatExif(exif) {
+        if (!exif) return '';
+        const parts = [];
+        if (exif.takenAt) parts.push(`📅 ${exif.takenAt.replace('T', ' ').slice(0, 16)}`);
+        const camera = [exif.make, exif.model].filter(Boolean).join(' ');
+        if (camera) parts.push(`📷 ${camera}`);
+        if (exif.width && exif.height) parts.push(`${exif.width}×${exif.height}`);
+        if (exif.gps) parts.push(`📍 ${exif.gps.lat.toFixed(5)}, ${exif.gps.lon.toFixed(5)}`);
+        return parts.join(' · ');
+    }
+
     getSelectedClusterIndices() {
         const indices = [];
         document.querySelectorAll('.cluster-checkbox:checked').forEach(cb => {
-            indices.push(parseInt(cb.dataset.index));
+            if (cb.dataset.index !== 'noise') indices.push(parseInt(cb.dataset.index));
         });
         return indices;
     }
+
+    isUnclusteredSelected() {
+        const checkbox = document.querySelector('.cluster-checkbox[data-index="noise"]');
+        return !!(checkbox && checkbox.checked);
+    }
 }
 
@@ -0,0 +1,69 @@
+/**
+ * DBSCAN (Ester et al. 1996) over a neighbour source.
+ * Same definitions as the vendored density-clustering DBSCAN: a neighbourhood is every point at
+ * distance < epsilon (the point itself included), and a border point joins the first cluster that
+ * reaches it. Region queries go to `source.neighbors(i, radius)` instead of scanning all points,
+ * so the source can be the exact CondensedDistanceMatrix or the approximate HNSWIndex.
+ * After `run`, `noise` lists the points left outside every cluster.
+ */
+export class DBSCAN {
+    constructor() {
+        this.noise = [];
+    }
+
+    /**
+     * @param {CondensedDistanceMatrix|HNSWIndex} source - Neighbour source (`size`, `neighbors(i, radius)`).
+     * @param {number} epsilon - Neighbourhood radius (exclusive).
+     * @param {number} minPts - Neighbourhood size that makes a point a core point.
+     * @returns {number[][]} Point indices per cluster.
+     */
+    run(source, epsilon, minPts) {
+        const n = source.size;
+        const visited = new Uint8Array(n);
+        const assigned = new Uint8Array(n);
+        // Cluster id + 1 of the expansion queue a point was added to, to avoid queueing it twice
+        const queuedFor = new Int32Array(n);
+        const clusters = [];
+
+        const regionQuery = (p) => {
+            const { indices, distances } = source.neighbors(p, epsilon);
+            return indices.filter((_, k) => distances[k] < epsilon);
+        };
+
+        for (let p = 0; p < n; p++) {
+            if (visited[p]) continue;
+            visited[p] = 1;
+            const seeds = regionQuery(p);
+            if (seeds.length < minPts) continue;
+
+            const cluster = [p];
+            assigned[p] = 1;
+            clusters.push(cluster);
+            const id = clusters.length;
+            for (const s of seeds) queuedFor[s] = id;
+
+            for (let k = 0; k < seeds.length; k++) {
+                const q = seeds[k];
+                if (!visited[q]) {
+                    visited[q] = 1;
+                    const reach = regionQuery(q);
+                    if (reach.length >= minPts) {
+                        for (const r of reach) {
+                            if (queuedFor[r] === id) continue;
+                            queuedFor[r] = id;
+                            seeds.push(r);
+                        }
+                    }
+                }
+                if (!assigned[q]) {
+                    assigned[q] = 1;
+                    cluster.push(q);
+                }
+            }
+        }
+
+        this.noise = [];
+        for (let p = 0; p < n; p++) if (!assigned[p]) this.noise.push(p);
+        return clusters;
+    }
+}
@@ -0,0 +1,303 @@
+import { clusterColor } from './charts.js';
+
+const PLOT_HEIGHT = 240;
+const MARGIN_TOP = 8;
+// How close (px) a click must be to a branch's join line to preview it
+const HIT_TOLERANCE = 5;
+const MIXED_COLOR = '#6b7280';
+
+/**
+ * Dendrogram
+ * Draws a hierarchical clustering tree (leaves in tree order along x, merge height on y) with a draggable cut line.
+ * Branches are coloured by the displayed cluster when all their images share one.
+ * While the line is dragged the tree recolours itself by the cut under the pointer (cheap, no re-render of the
+ * results); onCut(height) is called once on release. canCut(height) is asked first and can refuse the drag.
+ * Clicking a branch lists its images below the plot.
+ */
+export class Dendrogram {
+    constructor(container, thumbnails, { onCut, canCut = () => true }) {
+        this.container = container;
+        this.thumbnails = thumbnails;
+        this.onCut = onCut;
+        this.canCut = canCut;
+        this.nodes = [];
+        // Merge heights, ascending, and the number of groups the colours currently show
+        this.mergeHeights = [];
+        this.cutGroups = null;
+        this.root = null;
+        this.cutHeight = null;
+        this.maxHeight = 1;
+        this.build();
+    }
+
+    build() {
+        this.container.innerHTML = `
+            <div class="reachability-header">
+                <h3>🌳 Dendrogram</h3>
+                <small>Drag the line to cut the tree at a distance; the branches regroup as you drag and the clusters follow on release. Click a branch to preview its images.</small>
+            </div>
+            <canvas class="reachability-canvas dendrogram-canvas" height="${PLOT_HEIGHT}"></canvas>
+            <div class="reachability-controls">
+                <span class="reachability-threshold"></span>
+            </div>
+            <div class="embedding-map-selection" hidden></div>
+        `;
+        this.canvas = this.container.querySelector('canvas');
+        this.cutLabel = this.container.querySelector('.reachability-threshold');
+        this.previewArea = this.container.querySelector('.embedding-map-selection');
+
+        let dragging = false;
+        const heightAt = (y) => Math.max(0, (1 - (y - MARGIN_TOP) / (PLOT_HEIGHT - MARGIN_TOP)) * this.maxHeight);
+        const pointAt = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return [(e.clientX - rect.left) * (this.canvas.width / rect.width), Math.min(Math.max(e.clientY - rect.top, 0), rect.height)];
+        };
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.root) return;
+            const [x, y] = pointAt(e);
+            const nearLine = this.cutHeight !== null && Math.abs(y - this.toY(this.cutHeight)) <= HIT_TOLERANCE;
+            const branch = nearLine ? null : this.branchAt(x, y);
+            if (branch) {
+                this.preview(branch);
+                return;
+            }
+            if (!this.canCut(heightAt(y))) return;
+            dragging = true;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.dragCut(heightAt(y));
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (dragging) this.dragCut(heightAt(pointAt(e)[1]));
+        });
+        this.canvas.addEventListener('pointerup', () => {
+            if (!dragging) return;
+            dragging = false;
+            this.onCut(this.cutHeight);
+        });
+    }
+
+    /**
+     * @param {Object} tree - Root Cluster returned by agglomerate (hierarchical.js).
+     * @param {number[]} labels - Displayed cluster index per image.
+     * @param {number|null} cutHeight - Current cut; null hides the line.
+     * @param {string[]} filenames - For branch previews.
+     * @param {string[]} captions
+     */
+    render(tree, labels, cutHeight, filenames, captions) {
+        if (tree !== this.root) {
+            this.root = tree;
+            this.layout(tree);
+            this.mergeHeights = this.nodes.filter(node => node.children.length > 0).map(node => node.height).sort((a, b) => a - b);
+            this.preview(null);
+        }
+        this.filenames = filenames;
+        this.captions = captions;
+        this.maxHeight = Math.max(tree.height * 1.05, cutHeight || 0, 1e-6);
+        this.cutHeight = cutHeight;
+        this.cutGroups = cutHeight === null ? null : this.groupsAt(cutHeight);
+        this.colorBy(labels);
+        this.draw();
+    }
+
+    /**
+     * Flatten the tree into `nodes` (children before parents) with leaf positions in tree order.
+     */
+    layout(tree) {
+        this.nodes = [];
+        let leafCount = 0;
+        // Iterative post-order: chained single-linkage trees can be as deep as there are images
+        const stack = [{ cluster: tree, expanded: false }];
+        const ids = new Map();
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const { cluster } = frame;
+            if (!frame.expanded) {
+                frame.expanded = true;
+                for (let c = cluster.children.length - 1; c >= 0; c--) stack.push({ cluster: cluster.children[c], expanded: false });
+                if (cluster.children.length > 0) continue;
+            }
+            stack.pop();
+            const children = cluster.children.map(child => ids.get(child));
+            const node = children.length > 0
+                ? { cluster, children, height: cluster.height, x: children.reduce((s, c) => s + this.nodes[c].x, 0) / children.length }
+                : { cluster, children, height: 0, x: leafCount++, index: cluster.index };
+            ids.set(cluster, this.nodes.length);
+            this.nodes.push(node);
+        }
+        this.leafCount = leafCount;
+    }
+
+    colorBy(labels) {
+        for (const node of this.nodes) {
+            if (node.children.length === 0) {
+                node.label = labels[node.index] ?? -1;
+            } else {
+                const first = this.nodes[node.children[0]].label;
+                node.label = node.children.every(c => this.nodes[c].label === first) ? first : null;
+            }
+        }
+    }
+
+    toX(position) {
+        const width = this.canvas.width;
+        return ((position + 0.5) / Math.max(this.leafCount, 1)) * width;
+    }
+
+    toY(height) {
+        return MARGIN_TOP + (1 - height / this.maxHeight) * (PLOT_HEIGHT - MARGIN_TOP);
+    }
+
+    setCut(height) {
+        this.cutHeight = height;
+        this.draw();
+    }
+
+    /**
+     * Move the line and, when it crosses a merge, recolour the branches by the clusters this cut gives.
+     */
+    dragCut(height) {
+        const groups = this.groupsAt(height);
+        if (groups !== this.cutGroups) {
+            this.cutGroups = groups;
+            this.colorBy(this.labelsAt(height));
+        }
+        this.setCut(height);
+    }
+
+    /**
+     * Cluster index per image for a cut at `height`, numbered largest first like the displayed results.
+     * Walks `nodes` from the root down (reverse post-order), so deep trees need no recursion.
+     */
+    labelsAt(height) {
+        const group = new Int32Array(this.nodes.length).fill(-1);
+        const sizes = [];
+        for (let n = this.nodes.length - 1; n >= 0; n--) {
+            const node = this.nodes[n];
+            if (group[n] === -1 && node.height <= height) {
+                group[n] = sizes.length;
+                sizes.push(0);
+            }
+            if (node.children.length === 0) {
+                sizes[group[n]]++;
+            } else if (group[n] !== -1) {
+                for (const c of node.children) group[c] = group[n];
+            }
+        }
+        const rank = new Int32Array(sizes.length);
+        sizes.map((size, g) => g).sort((a, b) => sizes[b] - sizes[a]).forEach((g, r) => { rank[g] = r; });
+        const labels = [];
+        this.nodes.forEach((node, n) => {
+            if (node.children.length === 0) labels[node.index] = rank[group[n]];
+        });
+        return labels;
+    }
+
+    /**
+     * Number of clusters a cut at `height` gives: one, plus one per merge above it.
+     */
+    groupsAt(height) {
+        let low = 0;
+        let high = this.mergeHeights.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.mergeHeights[mid] <= height) low = mid + 1;
+            else high = mid;
+        }
+        return 1 + this.mergeHeights.length - low;
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        canvas.width = Math.max(canvas.clientWidth, 200);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, PLOT_HEIGHT);
+        if (!this.root) return;
+
+        ctx.lineWidth = 1;
+        for (const node of this.nodes) {
+            if (node.children.length === 0) continue;
+            const y = this.toY(node.height);
+            const xs = node.children.map(c => this.toX(this.nodes[c].x));
+            // Vertical drop to each child, in the child's colour, then the join line in this node's
+            node.children.forEach((c, k) => {
+                const child = this.nodes[c];
+                ctx.strokeStyle = child.label === null ? MIXED_COLOR : clusterColor(child.label);
+                ctx.beginPath();
+                ctx.moveTo(xs[k], y);
+                ctx.lineTo(xs[k], this.toY(child.height));
+                ctx.stroke();
+            });
+            ctx.strokeStyle = node.label === null ? MIXED_COLOR : clusterColor(node.label);
+            ctx.beginPath();
+            ctx.moveTo(Math.min(...xs), y);
+            ctx.lineTo(Math.max(...xs), y);
+            ctx.stroke();
+        }
+
+        if (this.selected) {
+            const xs = this.selected.children.map(c => this.toX(this.nodes[c].x));
+            ctx.strokeStyle = '#111827';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(Math.min(...xs), this.toY(this.selected.height));
+            ctx.lineTo(Math.max(...xs), this.toY(this.selected.height));
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        }
+
+        if (this.cutHeight !== null) {
+            const y = this.toY(this.cutHeight);
+            ctx.strokeStyle = '#111827';
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(canvas.width, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            this.cutLabel.textContent = `Cut height: ${this.cutHeight.toFixed(3)} · ${this.cutGroups} cluster(s)`;
+        } else {
+            this.cutLabel.textContent = '';
+        }
+    }
+
+    /**
+     * Internal node whose join line is closest to (x, y), within the hit tolerance.
+     */
+    branchAt(x, y) {
+        let best = null;
+        let bestGap = HIT_TOLERANCE;
+        for (const node of this.nodes) {
+            if (node.children.length === 0) continue;
+            const xs = node.children.map(c => this.toX(this.nodes[c].x));
+            if (x < Math.min(...xs) - HIT_TOLERANCE || x > Math.max(...xs) + HIT_TOLERANCE) continue;
+            const gap = Math.abs(y - this.toY(node.height));
+            if (gap <= bestGap) {
+                bestGap = gap;
+                best = node;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * List a branch's images below the plot (null clears the preview).
+     */
+    preview(node) {
+        this.selected = node;
+        this.previewArea.innerHTML = '';
+        this.previewArea.hidden = !node;
+        if (this.root) this.draw();
+        if (!node) return;
+
+        const indices = node.cluster.indices();
+        const header = document.createElement('div');
+        header.className = 'search-results-header';
+        header.innerHTML = `
+            <h3>${indices.length} image(s) in branch (height ${node.height.toFixed(3)})</h3>
+            <button class="secondary-btn">Close</button>
+        `;
+        header.querySelector('button').addEventListener('click', () => this.preview(null));
+        this.previewArea.appendChild(header);
+        this.previewArea.appendChild(this.thumbnails.createGrid(indices, this.filenames, this.captions));
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Condensed Distance Matrix
+ * Pairwise cosine distances stored as the packed upper triangle (i < j) in one Float32Array:
+ * n(n-1)/2 values instead of n² boxed numbers, so a few thousand images fit comfortably in memory.
+ * Vectors are normalised once up front, which turns every distance into 1 - dot(a, b).
+ * The matrix is computed in a worker (distance_worker.js) so the page stays responsive.
+ *
+ * The matrix and the approximate HNSWIndex (hnsw.js) are interchangeable neighbour sources for the
+ * density algorithms: both expose `size` and `neighbors(i, radius)`.
+ */
+
+export class CondensedDistanceMatrix {
+    /**
+     * @param {number} size - Number of images (n).
+     * @param {Float32Array} data - Upper triangle, row by row; length n(n-1)/2.
+     */
+    constructor(size, data) {
+        if (data.length !== (size * (size - 1)) / 2) {
+            throw new Error(`Condensed matrix for ${size} items needs ${(size * (size - 1)) / 2} values, got ${data.length}`);
+        }
+        this.size = size;
+        this.data = data;
+    }
+
+    /** Offset of the pair (i, j), i < j, in `data`. */
+    offset(i, j) {
+        return i * this.size - (i * (i + 1)) / 2 + (j - i - 1);
+    }
+
+    get(i, j) {
+        if (i === j) return 0;
+        return i < j ? this.data[this.offset(i, j)] : this.data[this.offset(j, i)];
+    }
+
+    /**
+     * Distances from image i to every image (0 at i), as a full-length row.
+     * @param {number} i
+     * @param {Float32Array} [out] - Reused buffer of length n, to avoid an allocation per row.
+     * @returns {Float32Array}
+     */
+    row(i, out = new Float32Array(this.size)) {
+        const n = this.size;
+        // Column i of the rows above, then row i to the right of the diagonal
+        for (let k = 0; k < i; k++) out[k] = this.data[this.offset(k, i)];
+        out[i] = 0;
+        const start = this.offset(i, i + 1);
+        out.set(this.data.subarray(start, start + n - i - 1), i + 1);
+        return out;
+    }
+
+    /**
+     * All images within `radius` of image i (itself included), nearest first.
+     * @param {number} i
+     * @param {number} radius - Inclusive; Infinity returns every image.
+     * @returns {{ indices: number[], distances: number[] }}
+     */
+    neighbors(i, radius) {
+        const row = this.row(i);
+        const found = [];
+        for (let j = 0; j < this.size; j++) {
+            if (row[j] <= radius) found.push(j);
+        }
+        found.sort((a, b) => row[a] - row[b] || a - b);
+        return { indices: found, distances: found.map(j => row[j]) };
+    }
+
+    /**
+     * Distances among a subset of the images, as a new matrix (item k is image indices[k]).
+     * @param {number[]} indices
+     * @returns {CondensedDistanceMatrix}
+     */
+    subset(indices) {
+        const m = indices.length;
+        const data = new Float32Array((m * (m - 1)) / 2);
+        let k = 0;
+        for (let a = 0; a < m; a++) {
+            for (let b = a + 1; b < m; b++) data[k++] = this.get(indices[a], indices[b]);
+        }
+        return new CondensedDistanceMatrix(m, data);
+    }
+}
+
+/**
+ * Pack embeddings into one row-major Float32Array of unit vectors (zero vectors stay zero).
+ * @param {Array<ArrayLike<number>>} embeddings
+ * @returns {{ vectors: Float32Array, n: number, dim: number }}
+ */
+export function packNormalized(embeddings) {
+    const n = embeddings.length;
+    const dim = n > 0 ? embeddings[0].length : 0;
+    const vectors = new Float32Array(n * dim);
+    embeddings.forEach((e, i) => {
+        let norm = 0;
+        for (let d = 0; d < dim; d++) norm += e[d] * e[d];
+        norm = Math.sqrt(norm);
+        if (norm === 0) return;
+        for (let d = 0; d < dim; d++) vectors[i * dim + d] = e[d] / norm;
+    });
+    return { vectors, n, dim };
+}
+
+/**
+ * Fill the condensed cosine distances of packed unit vectors.
+ * A zero vector is at distance 1 from everything, as with the unnormalised formula.
+ * @param {Float32Array} vectors - Output of packNormalized.
+ * @param {number} n
+ * @param {number} dim
+ * @param {Function} [onProgress] - Called with (pairsDone, totalPairs) about a hundred times.
+ * @returns {Float32Array}
+ */
+export function condensedCosineDistances(vectors, n, dim, onProgress = null) {
+    const total = (n * (n - 1)) / 2;
+    const data = new Float32Array(total);
+    const step = Math.max(1, Math.floor(total / 100));
+    let k = 0;
+    let nextReport = step;
+    for (let i = 0; i < n; i++) {
+        const a = i * dim;
+        for (let j = i + 1; j < n; j++) {
+            const b = j * dim;
+            let sum = 0;
+            for (let d = 0; d < dim; d++) sum += vectors[a + d] * vectors[b + d];
+            // Rounding can push identical vectors slightly below zero
+            data[k++] = Math.max(0, 1 - sum);
+        }
+        if (onProgress && k >= nextReport) {
+            onProgress(k, total);
+            nextReport = k + step;
+        }
+    }
+    return data;
+}
+
+/**
+ * Compute the condensed cosine distance matrix of a set of embeddings in a worker.
+ * @param {Array<ArrayLike<number>>} embeddings
+ * @param {Function} [onProgress] - Called with the completed fraction (0..1).
+ * @returns {Promise<CondensedDistanceMatrix>}
+ */
+export async function computeDistanceMatrix(embeddings, onProgress = null) {
+    const { vectors, n, dim } = packNormalized(embeddings);
+    // Hand the packed vectors over instead of copying them
+    const { data } = await runDistanceWorker({ type: 'matrix', vectors, n, dim }, [vectors.buffer], onProgress);
+    return new CondensedDistanceMatrix(n, data);
+}
+
+/**
+ * Run one job in a fresh distance worker.
+ * @param {Object} message - Job for distance_worker.js.
+ * @param {Transferable[]} transfer
+ * @param {Function} [onProgress] - Called with the completed fraction (0..1).
+ * @returns {Promise<Object>} The worker's 'done' message.
+ */
+export function runDistanceWorker(message, transfer, onProgress = null) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./distance_worker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', (e) => {
+            const msg = e.data;
+            if (msg.type === 'progress') {
+                if (onProgress) onProgress(msg.done / msg.total);
+                return;
+            }
+            worker.terminate();
+            if (msg.type === 'done') resolve(msg);
+            else reject(new Error(msg.message));
+        });
+        worker.addEventListener('error', (e) => {
+            worker.terminate();
+            reject(new Error(`Distance worker failed: ${e.message}`));
+        });
+        worker.postMessage(message, transfer);
+    });
+}
@@ -0,0 +1,29 @@
+/**
+ * Distance Worker
+ * Builds neighbour structures off the main thread. Protocol:
+ *   in:  { type: 'matrix', vectors, n, dim } | { type: 'index', vectors, n, dim, options }
+ *        (packed unit vectors from packNormalized)
+ *   out: { type: 'progress', done, total }
+ *        | { type: 'done', data } (condensed distances) | { type: 'done', buffer, vectors } (encoded HNSW index)
+ *        | { type: 'error', message }
+ */
+import { condensedCosineDistances } from './distance_matrix.js';
+import { HNSWIndex } from './hnsw.js';
+
+self.addEventListener('message', (e) => {
+    const { type, vectors, n, dim, options } = e.data;
+    const onProgress = (done, total) => self.postMessage({ type: 'progress', done, total });
+    try {
+        if (type === 'index') {
+            const buffer = HNSWIndex.build(vectors, n, dim, options, onProgress).encode();
+            // Vectors go back too: the page needs them to query the index
+            self.postMessage({ type: 'done', buffer, vectors }, [buffer, vectors.buffer]);
+        } else {
+            const data = condensedCosineDistances(vectors, n, dim, onProgress);
+            self.postMessage({ type: 'done', data }, [data.buffer]);
+        }
+    } catch (error) {
+        // Typically a RangeError when n(n-1)/2 floats cannot be allocated
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
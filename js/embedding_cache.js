@@ -0,0 +1,77 @@
+import { EmbeddingStore } from './embedding_store.js';
+import { SIDE_ARRAYS } from './run_files.js';
+
+/**
+ * Content Hash Cache
+ * Identifies images by the SHA-256 of their bytes (stored per run in contentHashesArray.json)
+ * so renamed or moved files can be matched to results computed earlier, and indexes the
+ * finished generation runs of the same model so a new run can reuse their embeddings.
+ */
+
+/**
+ * SHA-256 of a file's contents.
+ * @param {Blob} blob
+ * @returns {Promise<string>} 64-character hex digest.
+ */
+export async function computeContentHash(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export class EmbeddingCache {
+    constructor(fileSystem) {
+        this.fs = fileSystem;
+        this.embeddingStore = new EmbeddingStore(fileSystem);
+    }
+
+    /**
+     * Key under which results of two runs are interchangeable.
+     * CLIP results depend only on the model; Gemma captions also depend on the prompt and sampling settings.
+     * @param {Object} config - Generation config.
+     * @returns {string}
+     */
+    static getCacheKey(config) {
+        const modelId = EmbeddingStore.getModelId(config);
+        if (config.mode === 'direct_clip') return modelId;
+        return JSON.stringify([modelId, config.modelFileName, config.systemPrompt, config.temperature, config.maxTokens]);
+    }
+
+    /**
+     * Build a content hash -> result index from every other generation run with the same cache key.
+     * Only compacted run files are read; failed Gemma captions are not reused.
+     * @param {Object} config - Generation config of the run being processed.
+     * @param {string} excludeRun - Folder of the current run.
+     * @returns {Promise<Map<string, Object>>} Records shaped like inference results (without filename).
+     */
+    async load(config, excludeRun) {
+        const key = EmbeddingCache.getCacheKey(config);
+        const index = new Map();
+
+        const runs = (await this.fs.listDirectories('metadata')).filter(d => d.startsWith('gen_') && d !== excludeRun);
+        for (const run of runs) {
+            const runConfig = await this.fs.readFile(`metadata/${run}/config.json`, 'json');
+            if (!runConfig || EmbeddingCache.getCacheKey(runConfig) !== key) continue;
+
+            const contentHashes = await this.fs.readFile(`metadata/${run}/contentHashesArray.json`, 'json');
+            if (!contentHashes || !contentHashes.some(h => h && !index.has(h))) continue;
+
+            const captions = await this.fs.readFile(`metadata/${run}/captionsArray.json`, 'json') || [];
+            const { embeddings } = await this.embeddingStore.load(run);
+            const side = {};
+            for (const { field, file } of SIDE_ARRAYS) {
+                side[field] = await this.fs.readFile(`metadata/${run}/${file}`, 'json') || [];
+            }
+
+            const count = Math.min(contentHashes.length, captions.length, embeddings.length);
+            for (let i = 0; i < count; i++) {
+                const hash = contentHashes[i];
+                if (!hash || index.has(hash) || String(captions[i]).startsWith('[ERROR')) continue;
+
+                const record = { caption: captions[i], embedding: Array.from(embeddings[i]) };
+                for (const { field } of SIDE_ARRAYS) record[field] = side[field][i] ?? null;
+                index.set(hash, record);
+            }
+        }
+        return index;
+    }
+}
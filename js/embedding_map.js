@@ -0,0 +1,278 @@
+import { pca2d, tsne2d } from './projection.js';
+import { clusterColor } from './charts.js';
+
+const MAP_HEIGHT = 480;
+const POINT_RADIUS = 3;
+const HOVER_RADIUS = 8;
+// Exact t-SNE keeps several n×n matrices in memory
+const MAX_TSNE_POINTS = 2500;
+
+/**
+ * Embedding Map
+ * Scatter plot of a run's embeddings projected to 2D (PCA or t-SNE), coloured by cluster.
+ * Hovering shows the image and caption; dragging draws a lasso whose images are listed below the map.
+ * The owner supplies the data through `setData` and may recolour with `setLabels`.
+ */
+export class EmbeddingMap {
+    constructor(container, thumbnails) {
+        this.container = container;
+        this.thumbnails = thumbnails;
+        this.data = null;
+        this.labels = [];
+        this.points = null;
+        this.screen = [];
+        this.lasso = null;
+        this.thumbCache = new Map();
+        this.projectionToken = 0;
+        this.build();
+    }
+
+    build() {
+        this.container.innerHTML = `
+            <div class="reachability-header">
+                <h3>🗺️ Embedding Map</h3>
+                <small>Hover a point to preview it. Drag to lasso a region.</small>
+            </div>
+            <div class="reachability-controls embedding-map-controls">
+                <label>Projection
+                    <select class="map-method">
+                        <option value="pca">PCA (fast, linear)</option>
+                        <option value="tsne">t-SNE (local structure)</option>
+                    </select>
+                </label>
+                <label>Perplexity <input type="number" class="map-perplexity" min="2" max="100" step="1" value="30"></label>
+                <button class="secondary-btn map-project-btn">Project</button>
+                <span class="map-status"></span>
+            </div>
+            <div class="embedding-map-canvas-wrap">
+                <canvas class="embedding-map-canvas" height="${MAP_HEIGHT}"></canvas>
+                <div class="embedding-map-tooltip" hidden>
+                    <img alt="">
+                    <div class="embedding-map-tooltip-text"></div>
+                </div>
+            </div>
+            <div class="embedding-map-selection" hidden></div>
+        `;
+        this.canvas = this.container.querySelector('canvas');
+        this.tooltip = this.container.querySelector('.embedding-map-tooltip');
+        this.status = this.container.querySelector('.map-status');
+        this.selectionArea = this.container.querySelector('.embedding-map-selection');
+
+        this.container.querySelector('.map-project-btn').addEventListener('click', () => this.project());
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.points) return;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.lasso = [this.toCanvas(e)];
+            this.hideTooltip();
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.points) return;
+            if (this.lasso) {
+                this.lasso.push(this.toCanvas(e));
+                this.draw();
+            } else {
+                this.hover(e);
+            }
+        });
+        this.canvas.addEventListener('pointerup', () => {
+            if (!this.lasso) return;
+            const polygon = this.lasso;
+            this.lasso = null;
+            this.select(polygon.length > 2 ? this.pointsInPolygon(polygon) : []);
+        });
+        this.canvas.addEventListener('pointerleave', () => this.hideTooltip());
+    }
+
+    /**
+     * @param {Object} data - `{ embeddings, filenames, captions, getDistanceMatrix }`; the distance matrix is only requested for t-SNE.
+     * @param {number[]} labels - Cluster index per image, -1 for unclustered.
+     */
+    setData(data, labels) {
+        this.data = data;
+        this.labels = labels;
+        this.points = null;
+        this.thumbCache.clear();
+        this.select([]);
+        this.project();
+    }
+
+    setLabels(labels) {
+        this.labels = labels;
+        this.draw();
+    }
+
+    async project() {
+        if (!this.data) return;
+        const token = ++this.projectionToken;
+        const method = this.container.querySelector('.map-method').value;
+        const { embeddings } = this.data;
+
+        this.status.textContent = 'Projecting with PCA...';
+        await new Promise(r => setTimeout(r, 0));
+        const initial = pca2d(embeddings);
+        if (token !== this.projectionToken) return;
+        this.points = initial;
+        this.draw();
+
+        if (method === 'tsne') {
+            if (embeddings.length > MAX_TSNE_POINTS) {
+                this.status.textContent = `t-SNE is limited to ${MAX_TSNE_POINTS} images; showing PCA.`;
+                return;
+            }
+            const perplexity = parseFloat(this.container.querySelector('.map-perplexity').value) || 30;
+            const distanceMatrix = await this.data.getDistanceMatrix();
+            await tsne2d(distanceMatrix, { perplexity, init: initial }, async (iteration, total, positions) => {
+                // A newer projection request supersedes this one; stop drawing its progress
+                if (token !== this.projectionToken) return;
+                this.points = positions;
+                this.status.textContent = `t-SNE ${iteration}/${total}...`;
+                this.draw();
+                await new Promise(r => setTimeout(r, 0));
+            });
+            if (token !== this.projectionToken) return;
+        }
+        this.status.textContent = `${embeddings.length} images (${method === 'tsne' ? 't-SNE' : 'PCA'})`;
+    }
+
+    toCanvas(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [(e.clientX - rect.left) * (this.canvas.width / rect.width), (e.clientY - rect.top) * (this.canvas.height / rect.height)];
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        canvas.width = Math.max(canvas.clientWidth, 200);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.points || this.points.length === 0) return;
+
+        // Fit the layout into the canvas with a margin, keeping the aspect ratio
+        const xs = this.points.map(p => p[0]);
+        const ys = this.points.map(p => p[1]);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const spanX = Math.max(...xs) - minX || 1;
+        const spanY = Math.max(...ys) - minY || 1;
+        const margin = 16;
+        const scale = Math.min((canvas.width - 2 * margin) / spanX, (canvas.height - 2 * margin) / spanY);
+        const offsetX = (canvas.width - spanX * scale) / 2;
+        const offsetY = (canvas.height - spanY * scale) / 2;
+        this.screen = this.points.map(([x, y]) => [offsetX + (x - minX) * scale, offsetY + (y - minY) * scale]);
+
+        const selected = this.selected || new Set();
+        // Unclustered points first so clusters are drawn on top
+        const order = this.screen.map((_, i) => i).sort((a, b) => (this.labels[a] ?? -1) - (this.labels[b] ?? -1));
+        for (const i of order) {
+            const [x, y] = this.screen[i];
+            ctx.fillStyle = clusterColor(this.labels[i] ?? -1);
+            ctx.beginPath();
+            ctx.arc(x, y, selected.has(i) ? POINT_RADIUS + 2 : POINT_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            if (selected.has(i)) {
+                ctx.strokeStyle = '#111827';
+                ctx.stroke();
+            }
+        }
+
+        if (this.lasso) {
+            ctx.strokeStyle = '#111827';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            this.lasso.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.closePath();
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    }
+
+    hover(e) {
+        const [cx, cy] = this.toCanvas(e);
+        let nearest = -1;
+        let nearestDist = HOVER_RADIUS * HOVER_RADIUS;
+        this.screen.forEach(([x, y], i) => {
+            const d = (x - cx) ** 2 + (y - cy) ** 2;
+            if (d <= nearestDist) {
+                nearestDist = d;
+                nearest = i;
+            }
+        });
+        if (nearest < 0) {
+            this.hideTooltip();
+            return;
+        }
+
+        const { filenames, captions } = this.data;
+        const img = this.tooltip.querySelector('img');
+        if (this.tooltip.dataset.index !== String(nearest)) {
+            this.tooltip.dataset.index = nearest;
+            img.removeAttribute('src');
+            if (this.thumbCache.has(nearest)) {
+                img.src = this.thumbCache.get(nearest);
+            } else {
+                // Load off-screen so a slow thumbnail never replaces the one for a newer hover
+                const thumb = new Image();
+                this.thumbnails.loadThumbnail(thumb, filenames[nearest]).then(() => {
+                    if (!thumb.src) return;
+                    this.thumbCache.set(nearest, thumb.src);
+                    if (this.tooltip.dataset.index === String(nearest)) img.src = thumb.src;
+                });
+            }
+            const label = this.labels[nearest] ?? -1;
+            this.tooltip.querySelector('.embedding-map-tooltip-text').textContent =
+                `${filenames[nearest]}\n${label < 0 ? 'Unclustered' : `Cluster ${label + 1}`}\n${captions[nearest] || ''}`;
+        }
+
+        const [x, y] = this.screen[nearest];
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = rect.width / this.canvas.width;
+        this.tooltip.style.left = `${Math.min(x * ratio + 12, rect.width - 180)}px`;
+        this.tooltip.style.top = `${Math.max(y * ratio - 60, 0)}px`;
+        this.tooltip.hidden = false;
+    }
+
+    hideTooltip() {
+        this.tooltip.hidden = true;
+        delete this.tooltip.dataset.index;
+    }
+
+    /**
+     * Ray casting point-in-polygon test against every projected point.
+     */
+    pointsInPolygon(polygon) {
+        const inside = [];
+        this.screen.forEach(([x, y], index) => {
+            let hit = false;
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const [xi, yi] = polygon[i];
+                const [xj, yj] = polygon[j];
+                if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) hit = !hit;
+            }
+            if (hit) inside.push(index);
+        });
+        return inside;
+    }
+
+    select(indices) {
+        this.selected = new Set(indices);
+        this.draw();
+        this.selectionArea.innerHTML = '';
+        this.selectionArea.hidden = indices.length === 0;
+        if (indices.length === 0) return;
+
+        const header = document.createElement('div');
+        header.className = 'search-results-header';
+        header.innerHTML = `
+            <h3>${indices.length} image(s) in selection</h3>
+            <button class="secondary-btn">Clear</button>
+        `;
+        header.querySelector('button').addEventListener('click', () => this.select([]));
+        this.selectionArea.appendChild(header);
+
+        const { filenames, captions } = this.data;
+        this.selectionArea.appendChild(this.thumbnails.createGrid(indices, filenames, captions, (imgContainer, imgIndex) => {
+            const label = this.labels[imgIndex] ?? -1;
+            imgContainer.querySelector('img').title += `\n${label < 0 ? 'Unclustered' : `Cluster ${label + 1}`}`;
+        }));
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Binary Embedding Store
+ * Persists a run's embeddings as packed Float32 vectors (`embeddings.bin`) instead of
+ * a JSON array of number arrays. Legacy `embeddingsArray.json` files are still readable.
+ *
+ * Layout (little-endian):
+ *   0  char[4]  magic 'EMBF'
+ *   4  uint16   format version
+ *   6  uint16   header length in bytes (data offset, multiple of 4)
+ *   8  uint32   dimension
+ *   12 uint32   count
+ *   16 uint16   model id byte length, followed by the UTF-8 model id
+ *   ...         zero padding up to header length
+ *   header      count * dimension float32 values, row-major
+ */
+
+const MAGIC = 'EMBF';
+const VERSION = 1;
+const FIXED_HEADER_BYTES = 18;
+
+export const BINARY_EMBEDDINGS_FILE = 'embeddings.bin';
+export const LEGACY_EMBEDDINGS_FILE = 'embeddingsArray.json';
+
+export class EmbeddingStore {
+    constructor(fileSystem) {
+        this.fs = fileSystem;
+    }
+
+    /**
+     * Build the model identifier stored in the header from a generation config.
+     * @param {Object|null} config - Generation config.
+     * @returns {string}
+     */
+    static getModelId(config) {
+        if (!config) return '';
+        if (config.mode === 'direct_clip') {
+            return `clip:${config.modelFolderName || 'clip-vit-base-patch16'}${config.quantized === false ? ':full' : ':quantized'}`;
+        }
+        return `use:${config.embeddingModel || 'universal_sentence_encoder.tflite'}`;
+    }
+
+    /**
+     * Pack embeddings into the binary format.
+     * Rows whose length differs from the first row are zero-padded or truncated.
+     * @param {Array<number[]|Float32Array>} embeddings
+     * @param {string} modelId
+     * @returns {ArrayBuffer}
+     */
+    static encode(embeddings, modelId = '') {
+        const count = embeddings.length;
+        const dim = count > 0 ? embeddings[0].length : 0;
+        const idBytes = new TextEncoder().encode(modelId);
+        const headerLength = Math.ceil((FIXED_HEADER_BYTES + idBytes.length) / 4) * 4;
+
+        const buffer = new ArrayBuffer(headerLength + count * dim * 4);
+        const view = new DataView(buffer);
+        for (let i = 0; i < 4; i++) view.setUint8(i, MAGIC.charCodeAt(i));
+        view.setUint16(4, VERSION, true);
+        view.setUint16(6, headerLength, true);
+        view.setUint32(8, dim, true);
+        view.setUint32(12, count, true);
+        view.setUint16(16, idBytes.length, true);
+        new Uint8Array(buffer, FIXED_HEADER_BYTES, idBytes.length).set(idBytes);
+
+        const data = new Float32Array(buffer, headerLength, count * dim);
+        for (let i = 0; i < count; i++) {
+            const row = embeddings[i];
+            if (row.length === dim) {
+                data.set(row, i * dim);
+            } else {
+                // Mismatched row (e.g. failed generation placeholder): keep alignment
+                data.set(Array.from(row).slice(0, dim), i * dim);
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Unpack a binary embeddings buffer.
+     * Rows are returned as Float32Array views over one shared buffer.
+     * @param {ArrayBuffer} buffer
+     * @returns {{ embeddings: Float32Array[], dim: number, count: number, modelId: string }}
+     */
+    static decode(buffer) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < FIXED_HEADER_BYTES) throw new Error("Embedding file is truncated.");
+
+        const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+        if (magic !== MAGIC) throw new Error("Not a binary embedding file.");
+
+        const version = view.getUint16(4, true);
+        if (version > VERSION) throw new Error(`Unsupported embedding file version ${version}.`);
+
+        const headerLength = view.getUint16(6, true);
+        const dim = view.getUint32(8, true);
+        const count = view.getUint32(12, true);
+        const idLength = view.getUint16(16, true);
+        const modelId = new TextDecoder().decode(new Uint8Array(buffer, FIXED_HEADER_BYTES, idLength));
+
+        if (buffer.byteLength < headerLength + count * dim * 4) {
+            throw new Error(`Embedding file is truncated (expected ${count} x ${dim} vectors).`);
+        }
+
+        const data = new Float32Array(buffer, headerLength, count * dim);
+        const embeddings = new Array(count);
+        for (let i = 0; i < count; i++) {
+            embeddings[i] = data.subarray(i * dim, (i + 1) * dim);
+        }
+        return { embeddings, dim, count, modelId };
+    }
+
+    /**
+     * Write a run's embeddings in the binary format.
+     * @param {string} runFolder - Generation run folder name.
+     * @param {Array<number[]|Float32Array>} embeddings
+     * @param {string} modelId
+     */
+    async save(runFolder, embeddings, modelId = '') {
+        await this.fs.writeFile(`metadata/${runFolder}/${BINARY_EMBEDDINGS_FILE}`, EmbeddingStore.encode(embeddings, modelId));
+    }
+
+    /**
+     * Load a run's embeddings, preferring the binary file and falling back to legacy JSON.
+     * @param {string} runFolder - Generation run folder name.
+     * @returns {Promise<{ embeddings: Array, modelId: string, format: string }>}
+     */
+    async load(runFolder) {
+        const buffer = await this.fs.readFile(`metadata/${runFolder}/${BINARY_EMBEDDINGS_FILE}`, 'arraybuffer');
+        if (buffer) {
+            const { embeddings, modelId } = EmbeddingStore.decode(buffer);
+            return { embeddings, modelId, format: 'binary' };
+        }
+
+        const legacy = await this.fs.readFile(`metadata/${runFolder}/${LEGACY_EMBEDDINGS_FILE}`, 'json');
+        return { embeddings: legacy || [], modelId: '', format: legacy ? 'json' : 'none' };
+    }
+}
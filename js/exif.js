@@ -0,0 +1,206 @@
+/**
+ * Minimal EXIF / Image Header Reader
+ * Pulls capture time, camera, orientation, pixel dimensions and GPS from JPEG (APP1 Exif)
+ * and WebP (EXIF chunk) files, plus dimensions from PNG/WebP headers. No DOM access,
+ * so it runs inside the generation worker.
+ */
+
+// TIFF tag ids we care about
+const TAG_MAKE = 0x010f;
+const TAG_MODEL = 0x0110;
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATETIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+const TAG_PIXEL_X = 0xa002;
+const TAG_PIXEL_Y = 0xa003;
+const GPS_LAT_REF = 0x0001;
+const GPS_LAT = 0x0002;
+const GPS_LON_REF = 0x0003;
+const GPS_LON = 0x0004;
+const GPS_ALT_REF = 0x0005;
+const GPS_ALT = 0x0006;
+
+// Bytes per component for TIFF field types 1..12
+const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+// Enough for the header and APP1 segment of practically every camera file
+const HEADER_BYTES = 256 * 1024;
+
+/**
+ * Read image metadata from a file.
+ * @param {Blob} blob - Image file.
+ * @returns {Promise<{ takenAt: string|null, make: string|null, model: string|null, orientation: number|null,
+ *   width: number|null, height: number|null, gps: { lat: number, lon: number, alt: number|null }|null }|null>}
+ *   null when the format is not recognised.
+ */
+export async function readImageMetadata(blob) {
+    const view = new DataView(await blob.slice(0, HEADER_BYTES).arrayBuffer());
+
+    if (view.byteLength > 3 && view.getUint16(0) === 0xffd8) return readJpeg(view);
+    if (view.byteLength > 12 && ascii(view, 0, 4) === 'RIFF' && ascii(view, 8, 4) === 'WEBP') return readWebp(view);
+    if (view.byteLength > 24 && view.getUint32(0) === 0x89504e47) {
+        return emptyMetadata(view.getUint32(16), view.getUint32(20)); // PNG IHDR
+    }
+    return null;
+}
+
+function emptyMetadata(width = null, height = null) {
+    return { takenAt: null, make: null, model: null, orientation: null, width, height, gps: null };
+}
+
+function ascii(view, offset, length) {
+    let s = '';
+    for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+        const c = view.getUint8(offset + i);
+        if (c === 0) break;
+        s += String.fromCharCode(c);
+    }
+    return s;
+}
+
+function readJpeg(view) {
+    const meta = emptyMetadata();
+    let offset = 2;
+
+    while (offset + 4 <= view.byteLength) {
+        if (view.getUint8(offset) !== 0xff) break;
+        const marker = view.getUint8(offset + 1);
+        const length = view.getUint16(offset + 2);
+
+        if (marker === 0xe1 && ascii(view, offset + 4, 4) === 'Exif') {
+            Object.assign(meta, readTiff(view, offset + 10, length - 8), {
+                // Frame header dimensions win over EXIF tags, which editors often leave stale
+                width: meta.width, height: meta.height
+            });
+        } else if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            // Start Of Frame: precision(1) height(2) width(2)
+            if (offset + 9 <= view.byteLength) {
+                meta.height = view.getUint16(offset + 5);
+                meta.width = view.getUint16(offset + 7);
+            }
+            break; // Image data follows; everything we need comes before it
+        } else if (marker === 0xda) {
+            break;
+        }
+        offset += 2 + length;
+    }
+    return meta;
+}
+
+function readWebp(view) {
+    const meta = emptyMetadata();
+    let offset = 12;
+
+    while (offset + 8 <= view.byteLength) {
+        const type = ascii(view, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const data = offset + 8;
+
+        if (type === 'VP8X' && data + 10 <= view.byteLength) {
+            meta.width = 1 + (view.getUint8(data + 4) | (view.getUint8(data + 5) << 8) | (view.getUint8(data + 6) << 16));
+            meta.height = 1 + (view.getUint8(data + 7) | (view.getUint8(data + 8) << 8) | (view.getUint8(data + 9) << 16));
+        } else if (type === 'VP8 ' && data + 10 <= view.byteLength && meta.width === null) {
+            meta.width = view.getUint16(data + 6, true) & 0x3fff;
+            meta.height = view.getUint16(data + 8, true) & 0x3fff;
+        } else if (type === 'VP8L' && data + 5 <= view.byteLength && meta.width === null) {
+            const bits = view.getUint32(data + 1, true);
+            meta.width = (bits & 0x3fff) + 1;
+            meta.height = ((bits >> 14) & 0x3fff) + 1;
+        } else if (type === 'EXIF') {
+            // Some encoders keep the JPEG-style "Exif\0\0" prefix
+            const start = ascii(view, data, 4) === 'Exif' ? data + 6 : data;
+            const { width, height } = meta;
+            Object.assign(meta, readTiff(view, start, size), { width, height });
+        }
+        offset = data + size + (size % 2); // Chunks are padded to even sizes
+    }
+    return meta;
+}
+
+/**
+ * Parse a TIFF structure (EXIF payload) starting at `start`.
+ */
+function readTiff(view, start, length) {
+    const meta = emptyMetadata();
+    const end = Math.min(view.byteLength, start + length);
+    if (start + 8 > end) return meta;
+
+    const little = view.getUint16(start) === 0x4949; // 'II' = Intel byte order
+    const u16 = (o) => view.getUint16(o, little);
+    const u32 = (o) => view.getUint32(o, little);
+
+    const readIfd = (ifdOffset) => {
+        const tags = new Map();
+        const base = start + ifdOffset;
+        if (base + 2 > end) return tags;
+        const count = u16(base);
+
+        for (let i = 0; i < count; i++) {
+            const entry = base + 2 + i * 12;
+            if (entry + 12 > end) break;
+            const tag = u16(entry);
+            const type = u16(entry + 2);
+            const n = u32(entry + 4);
+            const size = (TYPE_SIZES[type] || 0) * n;
+            const valueOffset = size > 4 ? start + u32(entry + 8) : entry + 8;
+            if (!size || valueOffset + size > end) continue;
+            tags.set(tag, readValue(type, n, valueOffset));
+        }
+        return tags;
+    };
+
+    const readValue = (type, n, offset) => {
+        if (type === 2) return ascii(view, offset, n).trim(); // ASCII
+        const values = [];
+        for (let i = 0; i < n; i++) {
+            if (type === 3) values.push(u16(offset + i * 2)); // SHORT
+            else if (type === 4) values.push(u32(offset + i * 4)); // LONG
+            else if (type === 5) { // RATIONAL
+                const den = u32(offset + i * 8 + 4);
+                values.push(den ? u32(offset + i * 8) / den : 0);
+            } else if (type === 1 || type === 7) values.push(view.getUint8(offset + i)); // BYTE / UNDEFINED
+            else return null;
+        }
+        return n === 1 ? values[0] : values;
+    };
+
+    const ifd0 = readIfd(u32(start + 4));
+    const exif = ifd0.has(TAG_EXIF_IFD) ? readIfd(ifd0.get(TAG_EXIF_IFD)) : new Map();
+    const gps = ifd0.has(TAG_GPS_IFD) ? readIfd(ifd0.get(TAG_GPS_IFD)) : new Map();
+
+    meta.make = ifd0.get(TAG_MAKE) || null;
+    meta.model = ifd0.get(TAG_MODEL) || null;
+    meta.orientation = ifd0.get(TAG_ORIENTATION) || null;
+    meta.takenAt = parseExifDate(exif.get(TAG_DATETIME_ORIGINAL) || ifd0.get(TAG_DATETIME));
+    meta.width = exif.get(TAG_PIXEL_X) || null;
+    meta.height = exif.get(TAG_PIXEL_Y) || null;
+
+    const lat = toDegrees(gps.get(GPS_LAT));
+    const lon = toDegrees(gps.get(GPS_LON));
+    if (lat !== null && lon !== null) {
+        const alt = gps.has(GPS_ALT) ? gps.get(GPS_ALT) * (gps.get(GPS_ALT_REF) === 1 ? -1 : 1) : null;
+        meta.gps = {
+            lat: gps.get(GPS_LAT_REF) === 'S' ? -lat : lat,
+            lon: gps.get(GPS_LON_REF) === 'W' ? -lon : lon,
+            alt
+        };
+    }
+    return meta;
+}
+
+function toDegrees(dms) {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    return dms[0] + dms[1] / 60 + dms[2] / 3600;
+}
+
+/**
+ * 'YYYY:MM:DD HH:MM:SS' (camera local time) -> 'YYYY-MM-DDTHH:MM:SS'.
+ */
+function parseExifDate(value) {
+    if (typeof value !== 'string') return null;
+    const m = value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!m || m[1] === '0000') return null;
+    return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+}
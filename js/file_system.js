@@ -1,3 +1,5 @@
+import { parseClustersFile } from './run_files.js';
+
 /**
  * File System Access API Wrapper
  * Handles directory selection, file reading/writing, and folder management.
@@ -69,10 +71,31 @@ export class FileSystemManager {
         await writable.close();
     }
 
+    /**
+     * Append content to the end of a file, creating it if missing.
+     * The browser commits the write atomically on close, so a crash never leaves half an append.
+     * @param {string} path - Relative path to the file.
+     * @param {string|Blob|BufferSource} content - Content to append.
+     */
+    async appendFile(path, content) {
+        if (!this.dirHandle) throw new Error("No directory selected");
+
+        const parts = path.split('/');
+        const fileName = parts.pop();
+        const dirPath = parts.join('/');
+
+        const dirHandle = await this.getDirectoryHandle(dirPath, true);
+        const fileHandle = await dirHandle.getFileHandle(fileName, { create: true });
+        const { size } = await fileHandle.getFile();
+        const writable = await fileHandle.createWritable({ keepExistingData: true });
+        await writable.write({ type: 'write', position: size, data: content });
+        await writable.close();
+    }
+
     /**
      * Read content from a file.
      * @param {string} path - Relative path to the file.
-     * @param {string} type - 'text' or 'json' or 'blob'.
+     * @param {string} type - 'text' or 'json' or 'blob' or 'arraybuffer'.
      * @returns {Promise<any>}
      */
     async readFile(path, type = 'text') {
@@ -92,6 +115,8 @@ export class FileSystemManager {
                 return JSON.parse(text);
             } else if (type === 'blob') {
                 return file;
+            } else if (type === 'arraybuffer') {
+                return await file.arrayBuffer();
             } else {
                 return await file.text();
             }
@@ -123,23 +148,47 @@ export class FileSystemManager {
     }
 
     /**
-     * List all files in the root directory (for Step 1).
-     * @returns {Promise<string[]>} List of filenames.
+     * List all image files in the root directory (for Step 1).
+     * With `recursive`, subfolders are walked as well and relative paths are returned
+     * (e.g. '2023/Trip/img.jpg'). The tool's own `metadata/` and `organized_*` output
+     * folders are always skipped.
+     * @param {boolean} recursive - Whether to descend into subfolders.
+     * @returns {Promise<string[]>} List of filenames (relative paths when recursive).
      */
-    async listRootImages() {
+    async listRootImages(recursive = false) {
         if (!this.dirHandle) return [];
         const images = [];
+        await this.collectImages(this.dirHandle, '', recursive, images);
+        return images;
+    }
+
+    /**
+     * Walk a directory handle and push image paths into `images`.
+     * @param {FileSystemDirectoryHandle} dirHandle
+     * @param {string} prefix - Relative path of `dirHandle` ('' for root).
+     * @param {boolean} recursive
+     * @param {string[]} images - Accumulator.
+     */
+    async collectImages(dirHandle, prefix, recursive, images) {
         const validExtensions = ['.jpg', '.jpeg', '.png', '.webp'];
+        const subDirs = [];
 
-        for await (const [name, handle] of this.dirHandle.entries()) {
+        for await (const [name, handle] of dirHandle.entries()) {
             if (handle.kind === 'file') {
                 const ext = name.substring(name.lastIndexOf('.')).toLowerCase();
                 if (validExtensions.includes(ext)) {
-                    images.push(name);
+                    images.push(prefix + name);
                 }
+            } else if (recursive && handle.kind === 'directory') {
+                // Never index our own output folders
+                if (!prefix && (name === 'metadata' || name.startsWith('organized_'))) continue;
+                subDirs.push([name, handle]);
             }
         }
-        return images;
+
+        for (const [name, handle] of subDirs) {
+            await this.collectImages(handle, `${prefix}${name}/`, recursive, images);
+        }
     }
 
     /**
@@ -187,15 +236,17 @@ export class FileSystemManager {
 
                 let isEmpty = true;
 
-                // Check if gen_ folder has filenamesArray.json with data
+                // Check if gen_ folder has filenamesArray.json or an uncompacted journal with data
                 if (name.startsWith('gen_')) {
                     const filenames = await this.readFile(`metadata/${name}/filenamesArray.json`, 'json');
                     if (filenames && filenames.length > 0) isEmpty = false;
+                    const journal = await this.readFile(`metadata/${name}/journal.ndjson`, 'text');
+                    if (journal && journal.trim().length > 0) isEmpty = false;
                 }
                 // Check if cluster_ folder has clusters.json with data
                 else if (name.startsWith('cluster_')) {
-                    const clusters = await this.readFile(`metadata/${name}/clusters.json`, 'json');
-                    if (clusters && clusters.length > 0) isEmpty = false;
+                    const { clusters, unclustered } = parseClustersFile(await this.readFile(`metadata/${name}/clusters.json`, 'json'));
+                    if (clusters.length > 0 || unclustered.length > 0) isEmpty = false;
                 }
 
                 if (isEmpty) {
@@ -0,0 +1,58 @@
+/**
+ * Append-only Generation Journal
+ * Each processed image is appended as one JSON line to `metadata/<run>/journal.ndjson`.
+ * The journal is periodically compacted into the run's array files by GenerationStep,
+ * so checkpoints cost one small append and a crash loses at most the record being written.
+ */
+
+export const JOURNAL_FILE = 'journal.ndjson';
+
+export class GenerationJournal {
+    constructor(fileSystem) {
+        this.fs = fileSystem;
+    }
+
+    /**
+     * Append one per-image record.
+     * Any extra serialisable per-image fields (e.g. `hash`) are kept; the source `file` is dropped.
+     * @param {string} runFolder - Generation run folder name.
+     * @param {{ filename: string, caption: string, embedding: ArrayLike<number> }} record
+     */
+    async append(runFolder, record) {
+        const { file, error, ...fields } = record;
+        const line = JSON.stringify({ ...fields, embedding: Array.from(record.embedding) });
+        await this.fs.appendFile(`metadata/${runFolder}/${JOURNAL_FILE}`, line + '\n');
+    }
+
+    /**
+     * Read all complete records. A malformed line (torn write) ends the replay.
+     * @param {string} runFolder - Generation run folder name.
+     * @returns {Promise<Array<{ filename: string, caption: string, embedding: number[], [field: string]: any }>>}
+     */
+    async read(runFolder) {
+        const text = await this.fs.readFile(`metadata/${runFolder}/${JOURNAL_FILE}`, 'text');
+        if (!text) return [];
+
+        const records = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                if (typeof record.filename !== 'string' || !Array.isArray(record.embedding)) break;
+                records.push(record);
+            } catch (e) {
+                console.warn(`Ignoring torn journal tail in ${runFolder}`, e);
+                break;
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Empty the journal after its records have been compacted into the run files.
+     * @param {string} runFolder - Generation run folder name.
+     */
+    async clear(runFolder) {
+        await this.fs.writeFile(`metadata/${runFolder}/${JOURNAL_FILE}`, '');
+    }
+}
@@ -0,0 +1,603 @@
+import { FilesetResolver, LlmInference } from './vendor/tasks-genai.js';
+import { TextEmbedder } from './vendor/tasks-text.js';
+// Transformers.js local import
+import { env, AutoProcessor, CLIPVisionModelWithProjection, RawImage } from './vendor/transformers.js';
+import { EmbeddingStore } from './embedding_store.js';
+import { GenerationJournal } from './generation_journal.js';
+import { computeDHash } from './phash.js';
+import { readImageMetadata } from './exif.js';
+import { SIDE_ARRAYS } from './run_files.js';
+import { EmbeddingCache, computeContentHash } from './embedding_cache.js';
+
+// Model and wasm paths are relative to the app root, not to this module (which runs inside a worker)
+const APP_BASE = new URL('../', import.meta.url);
+const appUrl = (path) => new URL(path, APP_BASE).href;
+
+/**
+ * Generation Pipeline (runs inside generation_worker.js)
+ * Owns model loading, inference and the run files. Talks to the UI only through
+ * `logger(message, type)` and `emit(type, payload)`, so nothing here touches the DOM.
+ */
+export class GenerationPipeline {
+    constructor(fileSystem, logger, emit) {
+        this.fs = fileSystem;
+        this.log = logger;
+        this.emit = emit;
+        this.embeddingStore = new EmbeddingStore(fileSystem);
+        this.journal = new GenerationJournal(fileSystem);
+        this.compactionInterval = 50; // Minimum journal records between rewrites of the run files
+        this.compactionRatio = 0.5; // ...and at least this fraction of the records already written, so total rewrite I/O stays linear
+        this.llmInference = null;
+        this.textEmbedder = null;
+        this.clipPipeline = null; // Store the CLIP pipeline
+        this.loadedMode = null; // Track which mode is currently loaded ('direct_clip' or 'legacy')
+        this.mode = 'sequential'; // default
+    }
+
+    async loadModels(config) {
+        // If the same mode is already loaded, skip loading
+        if (this.loadedMode === config.mode) return;
+
+        this.log(`Loading AI models for ${config.mode === 'direct_clip' ? 'CLIP' : 'Gemma'}... This may take a moment.`);
+
+        try {
+            if (config.mode === 'direct_clip') {
+                // --- CLIP MODE ---
+                this.log(`Initializing Transformers.js for local model in 'models/${config.modelFolderName}'...`);
+
+                // Configure strictly for local loading
+                env.allowLocalModels = true;
+                env.localModelPath = appUrl('models/'); // Base path for models
+                env.allowRemoteModels = false; // Disable remote fetching
+
+                let quantizedOption = true; // Default
+                if (config.quantized === 'false' || config.quantized === false) quantizedOption = false;
+
+                this.log(`Loading CLIP model (Quantized: ${quantizedOption})...`);
+
+                // Initialize Processor and Model explicitly
+                this.clipProcessor = await AutoProcessor.from_pretrained(config.modelFolderName);
+
+                // Use CLIPVisionModelWithProjection to get the projected image embeddings
+                this.clipModel = await CLIPVisionModelWithProjection.from_pretrained(config.modelFolderName, {
+                    quantized: quantizedOption,
+                    device: config.device || 'webgpu' // Attempt WebGPU if possible
+                });
+                this.log("✅ Local CLIP model loaded successfully.");
+
+            } else {
+                // --- GEMMA / LEGACY MODE ---
+                this.log("Initializing MediaPipe Gemma & USE...");
+
+                // Load Text Embedder (USE)
+                this.log("  - Resolving files for Text Tasks...");
+                const textFiles = await FilesetResolver.forTextTasks(appUrl('js/vendor/wasm'));
+                this.log("  - Creating Text Embedder (USE)...");
+                this.textEmbedder = await TextEmbedder.createFromOptions(textFiles, {
+                    baseOptions: {
+                        modelAssetPath: appUrl(config.embeddingModel || 'universal_sentence_encoder.tflite'),
+                        delegate: "CPU" // CPU is safer and plenty fast for USE
+                    }
+                });
+                this.log("  ✅ Text Embedder ready.");
+
+                // Load LLM (Gemma)
+                this.log("  - Resolving files for GenAi Tasks...");
+                const genaiFileset = await FilesetResolver.forGenAiTasks(appUrl('js/vendor/wasm'));
+                this.log(`  - Creating LLM Inference (${config.modelFileName})...`);
+                this.llmInference = await LlmInference.createFromOptions(genaiFileset, {
+                    baseOptions: { modelAssetPath: appUrl(config.modelFileName) },
+                    temperature: config.temperature !== undefined ? config.temperature : 0,
+                    maxTokens: config.maxTokens || 512,
+                    maxNumImages: 1
+                });
+                this.log("✅ Gemma & USE models loaded successfully.");
+            }
+
+            this.loadedMode = config.mode;
+        } catch (error) {
+            this.log(`Error loading models: ${error.message}`, 'error');
+            this.loadedMode = null; // Reset on failure
+            throw error;
+        }
+    }
+
+    /**
+     * Load a run's arrays, repair length mismatches and replay the journal.
+     * @returns {Promise<Object>} `{ filenames, captions, embeddings, ...side arrays }`, index-aligned.
+     */
+    async validateAndSyncMetadata(runFolder) {
+        // Load all three metadata files
+        let filenames = await this.fs.readFile(`metadata/${runFolder}/filenamesArray.json`, 'json') || [];
+        let captions = await this.fs.readFile(`metadata/${runFolder}/captionsArray.json`, 'json') || [];
+        let { embeddings, modelId } = await this.embeddingStore.load(runFolder);
+
+        // Check if all have the same length
+        const lengths = [filenames.length, captions.length, embeddings.length];
+        const minLength = Math.min(...lengths);
+        const maxLength = Math.max(...lengths);
+
+        if (minLength !== maxLength) {
+            this.log(`⚠️ Metadata files out of sync! Lengths: filenames=${lengths[0]}, captions=${lengths[1]}, embeddings=${lengths[2]}`, 'error');
+            this.log(`🔧 Auto-repairing: truncating all to ${minLength} entries...`);
+
+            // Truncate all arrays to the minimum length
+            filenames = filenames.slice(0, minLength);
+            captions = captions.slice(0, minLength);
+            embeddings = embeddings.slice(0, minLength);
+
+            this.log(`✅ Metadata synchronized. Safe to resume from image ${minLength + 1}.`);
+        } else {
+            this.log(`✅ Metadata integrity verified: all files have ${minLength} entries.`);
+        }
+
+        const data = { filenames, captions, embeddings };
+        let sideArraysChanged = false;
+        for (const { key, file } of SIDE_ARRAYS) {
+            const values = await this.fs.readFile(`metadata/${runFolder}/${file}`, 'json') || [];
+            if (values.length !== minLength) sideArraysChanged = true;
+            data[key] = values.slice(0, minLength);
+            while (data[key].length < minLength) data[key].push(null);
+        }
+
+        // Replay records appended since the last compaction (e.g. the tab closed mid-run)
+        const processedSet = new Set(filenames);
+        const pending = (await this.journal.read(runFolder)).filter(r => !processedSet.has(r.filename));
+        for (const record of pending) {
+            this.appendRecord(data, record);
+        }
+        if (pending.length > 0) {
+            this.log(`🔁 Recovered ${pending.length} image(s) from the generation journal.`);
+        }
+
+        // Save the synchronized data back and start from an empty journal
+        if (minLength !== maxLength || pending.length > 0 || sideArraysChanged) {
+            await this.compact(runFolder, data, null, modelId); // Pass null for config if we don't have it here
+        }
+
+        return data;
+    }
+
+    /**
+     * Push one per-image record (inference result or journal line) onto the run arrays.
+     */
+    appendRecord(data, record) {
+        data.filenames.push(record.filename);
+        data.captions.push(record.caption);
+        data.embeddings.push(record.embedding);
+        for (const { key, field } of SIDE_ARRAYS) {
+            data[key].push(record[field] ?? null);
+        }
+    }
+
+    /**
+     * Process every unprocessed image of the folder into a new or resumed run.
+     * @returns {Promise<string>} 'complete' or 'failed' (aborting terminates the worker instead).
+     */
+    async run(config, mode = 'sequential') {
+        if (!this.fs.hasDirectory()) {
+            this.log("No folder selected.", 'error');
+            return 'failed';
+        }
+
+        try {
+            await this.loadModels(config);
+
+            const allImages = await this.fs.listRootImages(!!config.recursive);
+            if (allImages.length === 0) {
+                this.log("No images found in the selected folder.", 'error');
+                return 'failed';
+            }
+
+            // Check for existing runs to resume
+            const existingRuns = await this.fs.listDirectories('metadata');
+            // Filter runs based on mode AND generation type
+            // Note: mixing gemma/clip runs might confuse clustering if not separated.
+            // But we generally separate by timestamp folder.
+            const genRuns = existingRuns.filter(d => {
+                const isGen = d.startsWith('gen_');
+                if (!isGen) return false;
+
+                // Detect mode from folder name
+                const isClipRun = d.includes('_clip');
+                const isCurrentClip = config.mode === 'direct_clip';
+
+                // Prevent mixing Embedding models (they have different dimensions)
+                if (isClipRun !== isCurrentClip) return false;
+
+                // Detect selection mode (random vs sequential)
+                const isRandomRun = d.includes('_random');
+                if (mode === 'random') return isRandomRun;
+                return !isRandomRun;
+            }).sort().reverse();
+
+            let runFolder = config.runFolder;
+            let data = { filenames: [], captions: [], embeddings: [] };
+            for (const { key } of SIDE_ARRAYS) data[key] = [];
+
+            // Resume logic
+            if (runFolder) {
+                // Explicit resume from UI selection
+                data = await this.validateAndSyncMetadata(runFolder);
+
+                // Load previous config to ensure continuity (e.g. system prompt, model files)
+                const prevConfig = await this.fs.readFile(`metadata/${runFolder}/config.json`, 'json');
+                if (prevConfig) {
+                    // Batch size and cache reuse are per-session settings, so the current choice wins
+                    config = {
+                        ...config, ...prevConfig,
+                        batchSize: config.batchSize ?? prevConfig.batchSize,
+                        reuseEmbeddings: config.reuseEmbeddings ?? prevConfig.reuseEmbeddings
+                    };
+                }
+                this.log(`Resuming ${mode} run: ${runFolder} (${data.filenames.length} images processed)`);
+            } else if (genRuns.length > 0) {
+                // Legacy / Auto-detect resume (optional, can be kept as fallback or removed)
+                // Since App.js now handles run selection, we could theoretically skip this,
+                // but we'll keep a simpler version for robustness if no run was explicitly selected
+                // but one is available. However, the user complained about the prompt.
+                // Best to skip auto-prompting if they explicitly chose "New Run" in App.js.
+
+                /* Selection in App.js is the source of truth now. 
+                   If runFolder is null here, it means the user chose "(New Run)".
+                   We should skip the auto-prompt to avoid the "additional modal" issue.
+                */
+            }
+
+            if (!runFolder) {
+                // Pass true for isRawSuffix to get _random instead of _from_random
+                // Add CLIP tag to foldername if CLIP mode
+                const runType = config.mode === 'direct_clip' ? '_clip' : '';
+                runFolder = await this.fs.createRunFolder('gen', mode + runType, true);
+                this.log(`Starting new ${mode} generation run: ${runFolder}`);
+            }
+
+            // Config is written up front; per-image checkpoints only touch the journal
+            await this.fs.writeFile(`metadata/${runFolder}/config.json`, JSON.stringify(config));
+            let uncompactedCount = 0;
+            const batchSize = config.mode === 'direct_clip' ? Math.max(1, parseInt(config.batchSize) || 1) : 1;
+            if (batchSize > 1) this.log(`Batched CLIP inference: ${batchSize} images per model call.`);
+
+            // Determine unprocessed images
+            // We need a set of already processed filenames to efficiently filter
+            const processedSet = new Set(data.filenames);
+            let unprocessedImages = allImages.filter(img => !processedSet.has(img));
+
+            // Images are identified by content: renamed files keep their results, and known
+            // contents (this run or, optionally, earlier runs of the same model) are copied instead of re-embedded
+            const contentHashCache = new Map();
+            unprocessedImages = await this.detectRenames(runFolder, data, allImages, unprocessedImages, contentHashCache, config);
+            const reuseIndex = config.reuseEmbeddings !== false
+                ? await this.loadReuseIndex(config, runFolder)
+                : new Map();
+            data.contentHashes.forEach((h, i) => { if (h) reuseIndex.set(h, this.recordAt(data, i)); });
+            let reusedCount = 0;
+
+            let processedCount = data.filenames.length;
+            const initialProcessedCount = data.filenames.length; // Count before session start
+            const totalCount = allImages.length;
+            this.emit('started', { runFolder, initialProcessedCount, totalCount });
+
+            // Main Processing Loop
+            while (unprocessedImages.length > 0) {
+                // Selection Logic (CLIP takes up to batchSize images per model call)
+                const batch = [];
+                while (batch.length < batchSize && unprocessedImages.length > 0) {
+                    let selectedIndex;
+                    if (mode === 'random') {
+                        // Random pick
+                        const randomVal = Math.random();
+                        selectedIndex = Math.floor(randomVal * unprocessedImages.length);
+                        // console.log(`Random selection: value=${randomVal.toFixed(4)}, index=${selectedIndex}, poolSize=${unprocessedImages.length}`);
+                    } else {
+                        // Sequential pick (always first in the queue of unprocessed)
+                        selectedIndex = 0;
+                    }
+                    // Remove from queue immediately
+                    batch.push(unprocessedImages.splice(selectedIndex, 1)[0]);
+                }
+
+                const rangeStr = batch.length > 1 ? `${processedCount + 1}-${processedCount + batch.length}` : `${processedCount + 1}`;
+                this.log(`Processing ${rangeStr}/${totalCount}: ${batch.join(', ')}`);
+
+                // Known contents are copied; only the rest go through the models
+                const results = await this.prepareBatch(batch, reuseIndex, contentHashCache);
+                const pending = results.filter(r => !r.error && !r.embedding);
+                reusedCount += results.filter(r => r.embedding).length;
+                if (pending.length > 0) {
+                    if (config.mode === 'direct_clip') {
+                        await this.embedClipBatch(pending);
+                    } else {
+                        await this.processGemmaImage(pending[0], config, data.embeddings);
+                    }
+                }
+
+                let previewResult = null;
+                for (const result of results) {
+                    processedCount++;
+
+                    if (result.error) {
+                        this.log(`Skipping ${result.filename}: ${result.error}`, 'error');
+                        continue;
+                    }
+
+                    this.appendRecord(data, result);
+                    if (result.contentHash && !String(result.caption).startsWith('[ERROR')) {
+                        reuseIndex.set(result.contentHash, this.recordAt(data, data.filenames.length - 1));
+                    }
+
+                    // Checkpoint every image with a cheap journal append
+                    await this.journal.append(runFolder, result);
+                    uncompactedCount++;
+                    previewResult = result;
+                }
+
+                // Preview the last successful image of the batch, then report progress
+                if (previewResult) {
+                    this.emit('preview', { filename: previewResult.filename, caption: previewResult.caption, blob: previewResult.file });
+                }
+                this.emit('progress', { processedCount, initialProcessedCount, totalCount, remaining: unprocessedImages.length });
+
+                // Rewrite run files once the journal is large relative to what they already hold
+                const compactedCount = data.filenames.length - uncompactedCount;
+                if (uncompactedCount >= Math.max(this.compactionInterval, this.compactionRatio * compactedCount)) {
+                    await this.compact(runFolder, data, config);
+                    uncompactedCount = 0;
+                }
+            }
+
+            // Final compaction after loop for safety
+            await this.compact(runFolder, data, config);
+
+            if (reusedCount > 0) {
+                this.log(`♻️ Reused existing results for ${reusedCount} image(s) with identical content.`);
+            }
+            this.log(`Generation complete (${mode}). Metadata saved.`);
+            return 'complete';
+
+        } catch (error) {
+            this.log(`Generation failed: ${error.message}`, 'error');
+            console.error(error);
+            return 'failed';
+        }
+    }
+
+    /**
+     * Read a batch of images and identify them by content hash.
+     * Contents found in `reuseIndex` come back with their caption, embedding and side data already filled in.
+     * @param {string[]} batch - Filenames (relative paths).
+     * @param {Map<string, Object>} reuseIndex - Content hash -> earlier result.
+     * @param {Map<string, string>} contentHashCache - Hashes already computed this session, by filename.
+     * @returns {Promise<Array<{ filename: string, file?: File, contentHash?: string, embedding?: number[], error?: string }>>}
+     */
+    async prepareBatch(batch, reuseIndex, contentHashCache) {
+        const results = [];
+        for (const filename of batch) {
+            const file = await this.fs.readFile(filename, 'blob');
+            if (!file) {
+                results.push({ filename, error: 'not found' });
+                continue;
+            }
+            const contentHash = contentHashCache.get(filename) || await computeContentHash(file);
+            const known = reuseIndex.get(contentHash);
+            results.push(known ? { ...known, filename, file, contentHash } : { filename, file, contentHash });
+        }
+        return results;
+    }
+
+    /**
+     * Per-image record at `index`, without the filename (used as a reuse template).
+     */
+    recordAt(data, index) {
+        const record = { caption: data.captions[index], embedding: data.embeddings[index] };
+        for (const { key, field } of SIDE_ARRAYS) record[field] = data[key][index];
+        return record;
+    }
+
+    /**
+     * Results of earlier runs of the same model, by content hash. Failures only disable reuse.
+     */
+    async loadReuseIndex(config, runFolder) {
+        try {
+            const index = await new EmbeddingCache(this.fs).load(config, runFolder);
+            if (index.size > 0) this.log(`Embedding cache: ${index.size} image(s) from earlier runs of this model can be reused.`);
+            return index;
+        } catch (e) {
+            console.warn('Could not load the embedding cache', e);
+            return new Map();
+        }
+    }
+
+    /**
+     * Match new paths to processed images whose file disappeared (renamed or moved) by content hash,
+     * and update those entries in place instead of re-embedding them.
+     * @returns {Promise<string[]>} The images that still need processing.
+     */
+    async detectRenames(runFolder, data, allImages, unprocessedImages, contentHashCache, config) {
+        const present = new Set(allImages);
+        const missing = new Map();
+        data.filenames.forEach((filename, i) => {
+            const hash = data.contentHashes[i];
+            if (hash && !present.has(filename) && !missing.has(hash)) missing.set(hash, i);
+        });
+        if (missing.size === 0 || unprocessedImages.length === 0) return unprocessedImages;
+
+        this.log(`${missing.size} processed image(s) are no longer in the folder; checking ${unprocessedImages.length} new path(s) for renames...`);
+        const renamed = new Set();
+        for (const filename of unprocessedImages) {
+            if (missing.size === 0) break;
+            const file = await this.fs.readFile(filename, 'blob');
+            if (!file) continue;
+            const hash = await computeContentHash(file);
+            contentHashCache.set(filename, hash);
+
+            if (missing.has(hash)) {
+                data.filenames[missing.get(hash)] = filename;
+                missing.delete(hash);
+                renamed.add(filename);
+            }
+        }
+
+        if (renamed.size > 0) {
+            this.log(`🔀 ${renamed.size} renamed/moved image(s) matched by content; their results were kept.`);
+            await this.compact(runFolder, data, config);
+        }
+        return unprocessedImages.filter(img => !renamed.has(img));
+    }
+
+    /**
+     * Embed a batch of images with CLIP in a single vision model call.
+     * @param {Array<{ filename: string, file: File }>} results - Entries from prepareBatch; filled in place.
+     *   Failed images get `error` instead of an embedding.
+     * @returns {Promise<Array>} The same entries, in order.
+     */
+    async embedClipBatch(results) {
+        const ready = [];
+
+        // 1. Decode images using Transformers.js RawImage; decode failures only affect their own file
+        for (const result of results) {
+            try {
+                ready.push({ result, rawImage: await RawImage.fromBlob(result.file) });
+            } catch (e) {
+                result.error = `could not read image (${e.message})`;
+            }
+        }
+        if (ready.length === 0) return results;
+
+        let vectors;
+        try {
+            vectors = await this.runClipInference(ready.map(r => r.rawImage));
+        } catch (e) {
+            // Isolate the offending image(s) by retrying one at a time
+            this.log(`Batch inference failed (${e.message}); retrying ${ready.length} image(s) individually...`, 'error');
+            vectors = [];
+            for (const { result, rawImage } of ready) {
+                try {
+                    vectors.push((await this.runClipInference([rawImage]))[0]);
+                } catch (err) {
+                    result.error = `CLIP inference failed (${err.message})`;
+                    vectors.push(null);
+                }
+            }
+            if (vectors.every(v => v === null)) {
+                this.log(`Error running CLIP on image: ${e.message}`, 'error');
+                throw e; // Stop if serious error (nothing in the batch could be embedded)
+            }
+        }
+
+        for (const [i, { result }] of ready.entries()) {
+            if (!vectors[i]) continue;
+            result.caption = "[CLIP Embedded Image]"; // Placeholder
+            result.embedding = vectors[i];
+            await this.addFileMetadata(result);
+        }
+        return results;
+    }
+
+    /**
+     * Preprocess images and run the CLIP vision model once for all of them.
+     * @param {RawImage[]} rawImages
+     * @returns {Promise<number[][]>} One projected embedding per image, in input order.
+     */
+    async runClipInference(rawImages) {
+        // 2. Preprocess (the processor stacks a list of images into one pixel_values batch)
+        const imageInputs = await this.clipProcessor(rawImages);
+
+        // 3. Inference
+        // Note: CLIPVisionModelWithProjection outputs { image_embeds: Tensor, ... }
+        // We want 'image_embeds' which are the projected features ready for dot-product with text.
+        const { image_embeds } = await this.clipModel(imageInputs);
+        if (!image_embeds) {
+            throw new Error("Model output missing 'image_embeds'.");
+        }
+
+        // 4. Split the [batch, dim] Float32Array back into per-image vectors
+        const [count, dim] = image_embeds.dims;
+        if (count !== rawImages.length) {
+            throw new Error(`Model returned ${count} embeddings for ${rawImages.length} images.`);
+        }
+        const vectors = [];
+        for (let i = 0; i < count; i++) {
+            vectors.push(Array.from(image_embeds.data.subarray(i * dim, (i + 1) * dim)));
+        }
+        return vectors;
+    }
+
+    /**
+     * Caption one image with Gemma and embed the caption with USE.
+     * @param {{ filename: string, file: File }} result - Entry from prepareBatch; filled in place.
+     * @param {Object} config - Generation config (uses systemPrompt).
+     * @param {Array} embeddings - Existing vectors, used to size the error placeholder.
+     * @returns {Promise<Object>} The same entry with caption and embedding.
+     */
+    async processGemmaImage(result, config, embeddings) {
+        const file = result.file;
+        let captionResult = '';
+        let embeddingArray = [];
+        try {
+            // Generate Caption (workers have no <img>, so hand MediaPipe a decoded bitmap)
+            const bitmap = await createImageBitmap(file);
+            try {
+                captionResult = await this.llmInference.generateResponse([config.systemPrompt, { imageSource: bitmap }]);
+            } finally {
+                bitmap.close();
+            }
+
+            // Generate Embedding
+            const embeddingResult = this.textEmbedder.embed(captionResult);
+            embeddingArray = embeddingResult.embeddings[0].floatEmbedding;
+        } catch (e) {
+            this.log(`❌ Error processing image with Gemma/USE: ${e.message}`, 'error');
+            // Use empty values so we can continue with other images if possible
+            captionResult = "[ERROR: Generation failed]";
+            // Match the dimension of earlier vectors so the binary store stays aligned
+            const dim = embeddings.length > 0 ? embeddings[0].length : 512;
+            embeddingArray = new Array(dim).fill(0);
+        }
+        result.caption = captionResult;
+        result.embedding = embeddingArray;
+        await this.addFileMetadata(result);
+        return result;
+    }
+
+    /**
+     * Attach the per-image side data to a result: perceptual hash (near-duplicate detection)
+     * and EXIF fields. Each is null when the file cannot be decoded or has no such data.
+     */
+    async addFileMetadata(result) {
+        try {
+            result.hash = await computeDHash(result.file);
+        } catch (e) {
+            console.warn('Perceptual hash failed', result.filename, e);
+            result.hash = null;
+        }
+        try {
+            result.exif = await readImageMetadata(result.file);
+        } catch (e) {
+            console.warn('EXIF read failed', result.filename, e);
+            result.exif = null;
+        }
+    }
+
+    /**
+     * Rewrite the run files from memory, then empty the journal.
+     * If the tab dies in between, replaying the journal skips records already in the files.
+     */
+    async compact(folder, data, config, modelId) {
+        await this.saveData(folder, data, config, modelId);
+        await this.journal.clear(folder);
+    }
+
+    async saveData(folder, data, config, modelId = EmbeddingStore.getModelId(config)) {
+        await this.fs.writeFile(`metadata/${folder}/filenamesArray.json`, JSON.stringify(data.filenames));
+        await this.fs.writeFile(`metadata/${folder}/captionsArray.json`, JSON.stringify(data.captions));
+        // Embeddings go to the packed binary store; a legacy embeddingsArray.json is left untouched and ignored
+        await this.embeddingStore.save(folder, data.embeddings, modelId);
+        for (const { key, file } of SIDE_ARRAYS) {
+            await this.fs.writeFile(`metadata/${folder}/${file}`, JSON.stringify(data[key]));
+        }
+        if (config) {
+            await this.fs.writeFile(`metadata/${folder}/config.json`, JSON.stringify(config));
+        }
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * Generation Worker
+ * Runs GenerationPipeline off the main thread. Protocol:
+ *   in:  { type: 'run', dirHandle, config, mode }
+ *   out: { type: 'log', message, level } | { type: 'started' | 'progress' | 'preview', ... }
+ *        | { type: 'done', status }
+ * Aborting terminates the worker (see GenerationStep.abort); every finished image is already in the journal.
+ *
+ * This is a classic worker, not a module worker: MediaPipe loads its wasm glue with importScripts() at
+ * model load time, which module workers do not allow. The app's ES modules come in through import().
+ */
+const ready = Promise.all([import('./file_system.js'), import('./generation_pipeline.js')])
+    .then(([{ FileSystemManager }, { GenerationPipeline }]) => {
+        const fs = new FileSystemManager();
+        const pipeline = new GenerationPipeline(
+            fs,
+            (message, level = 'info') => self.postMessage({ type: 'log', message, level }),
+            (type, payload) => self.postMessage({ type, ...payload })
+        );
+        return { fs, pipeline };
+    });
+
+self.addEventListener('message', async (e) => {
+    const msg = e.data;
+
+    if (msg.type === 'run') {
+        let worker;
+        try {
+            worker = await ready;
+        } catch (error) {
+            self.postMessage({ type: 'log', message: `Generation worker failed to load: ${error.message}`, level: 'error' });
+            self.postMessage({ type: 'done', status: 'failed' });
+            return;
+        }
+        // Directory handles are structured-cloneable; permission carries over from the page
+        worker.fs.dirHandle = msg.dirHandle;
+        const status = await worker.pipeline.run(msg.config, msg.mode);
+        self.postMessage({ type: 'done', status });
+    }
+});
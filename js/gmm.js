@@ -0,0 +1,166 @@
+import { seededRandom } from './vector_math.js';
+
+/**
+ * Gaussian Mixture Model (diagonal covariances) fitted with expectation–maximisation.
+ * Meant for PCA-reduced embeddings: with a few dozen dimensions a diagonal model is stable,
+ * whereas full covariances over hundreds of embedding dimensions would need far more images.
+ *   - Initialisation: k-means++ seeding (seeded, so a run always gives the same result).
+ *   - E-step in log space (log-sum-exp) to avoid underflow; M-step adds a small variance floor.
+ *   - Stops when the mean log-likelihood improves by less than `tolerance`.
+ * After `run`, `responsibilities[i][c]` is the soft assignment of point i to component c,
+ * `probabilities[i]` its largest responsibility and `labels[i]` the component it belongs to
+ * (-1 when below the requested minimum probability).
+ */
+export class GaussianMixture {
+    constructor() {
+        this.responsibilities = [];
+        this.probabilities = new Float32Array(0);
+        this.labels = new Int32Array(0);
+        this.logLikelihood = -Infinity;
+    }
+
+    /**
+     * @param {Array<ArrayLike<number>>} points
+     * @param {number} k - Number of components.
+     * @param {Object} options - `minProbability` (0..1, default 0), `maxIterations` (default 200),
+     *   `tolerance` (default 1e-4), `seed`.
+     * @returns {number[][]} Point indices per component; points below `minProbability` are left out.
+     */
+    run(points, k, { minProbability = 0, maxIterations = 200, tolerance = 1e-4, seed = 1 } = {}) {
+        const n = points.length;
+        k = Math.max(1, Math.min(Math.floor(k), n));
+        const dim = n > 0 ? points[0].length : 0;
+        this.labels = new Int32Array(n).fill(-1);
+        this.probabilities = new Float32Array(n);
+        if (n === 0) return [];
+
+        // Variance floor relative to the data's overall spread
+        const globalVariance = new Float64Array(dim);
+        const globalMean = new Float64Array(dim);
+        for (const p of points) for (let d = 0; d < dim; d++) globalMean[d] += p[d] / n;
+        for (const p of points) for (let d = 0; d < dim; d++) globalVariance[d] += (p[d] - globalMean[d]) ** 2 / n;
+        const floor = 1e-6 * (globalVariance.reduce((s, v) => s + v, 0) / dim || 1);
+
+        const random = seededRandom(seed);
+        let means = this.seedMeans(points, k, random);
+        let variances = means.map(() => Float64Array.from(globalVariance, v => Math.max(v, floor)));
+        let weights = new Float64Array(k).fill(1 / k);
+        const resp = Array.from({ length: n }, () => new Float64Array(k));
+
+        let previous = -Infinity;
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            // E-step
+            let total = 0;
+            for (let i = 0; i < n; i++) {
+                const x = points[i];
+                let max = -Infinity;
+                for (let c = 0; c < k; c++) {
+                    let log = Math.log(weights[c]);
+                    for (let d = 0; d < dim; d++) {
+                        const v = variances[c][d];
+                        log -= 0.5 * (Math.log(2 * Math.PI * v) + (x[d] - means[c][d]) ** 2 / v);
+                    }
+                    resp[i][c] = log;
+                    if (log > max) max = log;
+                }
+                let sum = 0;
+                for (let c = 0; c < k; c++) sum += Math.exp(resp[i][c] - max);
+                const logSum = max + Math.log(sum);
+                for (let c = 0; c < k; c++) resp[i][c] = Math.exp(resp[i][c] - logSum);
+                total += logSum;
+            }
+            const mean = total / n;
+
+            // M-step
+            const next = this.maximize(points, resp, k, floor, random);
+            means = next.means;
+            variances = next.variances;
+            weights = next.weights;
+
+            if (mean - previous < tolerance) {
+                previous = mean;
+                break;
+            }
+            previous = mean;
+        }
+        this.logLikelihood = previous;
+        this.responsibilities = resp;
+
+        const clusters = Array.from({ length: k }, () => []);
+        for (let i = 0; i < n; i++) {
+            let best = 0;
+            for (let c = 1; c < k; c++) if (resp[i][c] > resp[i][best]) best = c;
+            this.probabilities[i] = resp[i][best];
+            if (resp[i][best] < minProbability) continue;
+            this.labels[i] = best;
+            clusters[best].push(i);
+        }
+        return clusters.filter(c => c.length > 0);
+    }
+
+    /**
+     * k-means++: each further mean is a point drawn with probability proportional to its squared
+     * distance from the nearest mean chosen so far.
+     */
+    seedMeans(points, k, random) {
+        const n = points.length;
+        const means = [Float64Array.from(points[Math.floor(random() * n)])];
+        const nearest = new Float64Array(n).fill(Infinity);
+        while (means.length < k) {
+            const last = means[means.length - 1];
+            let total = 0;
+            for (let i = 0; i < n; i++) {
+                let d = 0;
+                for (let j = 0; j < last.length; j++) d += (points[i][j] - last[j]) ** 2;
+                nearest[i] = Math.min(nearest[i], d);
+                total += nearest[i];
+            }
+            let target = random() * total;
+            let chosen = n - 1;
+            for (let i = 0; i < n; i++) {
+                target -= nearest[i];
+                if (target <= 0) {
+                    chosen = i;
+                    break;
+                }
+            }
+            means.push(Float64Array.from(points[chosen]));
+        }
+        return means;
+    }
+
+    maximize(points, resp, k, floor, random) {
+        const n = points.length;
+        const dim = points[0].length;
+        const means = [];
+        const variances = [];
+        const weights = new Float64Array(k);
+        for (let c = 0; c < k; c++) {
+            let mass = 0;
+            const mean = new Float64Array(dim);
+            for (let i = 0; i < n; i++) {
+                const r = resp[i][c];
+                mass += r;
+                for (let d = 0; d < dim; d++) mean[d] += r * points[i][d];
+            }
+            if (mass < 1e-8) {
+                // Component lost all its points: restart it on a random point
+                means.push(Float64Array.from(points[Math.floor(random() * n)]));
+                variances.push(new Float64Array(dim).fill(floor * 1e6));
+                weights[c] = 1 / n;
+                continue;
+            }
+            for (let d = 0; d < dim; d++) mean[d] /= mass;
+            const variance = new Float64Array(dim);
+            for (let i = 0; i < n; i++) {
+                const r = resp[i][c];
+                for (let d = 0; d < dim; d++) variance[d] += r * (points[i][d] - mean[d]) ** 2;
+            }
+            for (let d = 0; d < dim; d++) variance[d] = variance[d] / mass + floor;
+            means.push(mean);
+            variances.push(variance);
+            weights[c] = mass / n;
+        }
+        return { means, variances, weights };
+    }
+}
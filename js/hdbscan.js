@@ -0,0 +1,267 @@
+/**
+ * HDBSCAN (Campello, Moulavi & Sander 2013)
+ * Works on a precomputed distance matrix, like the density-clustering classes:
+ *   1. Core distance of each point = distance to its `minSamples`-th nearest neighbour (itself included).
+ *   2. Minimum spanning tree over the mutual reachability distance max(core(a), core(b), d(a, b)) (Prim, O(n²)).
+ *   3. Single-linkage hierarchy from the MST, condensed so that splits smaller than `minClusterSize`
+ *      are treated as points falling out of their parent cluster.
+ *   4. Excess-of-mass selection: a cluster is kept when its stability beats the summed stability of its children.
+ * After `run`, `noise` lists unclustered points and `probabilities[i]` is the membership strength of point i
+ * (1 = in the cluster's densest core, 0 = noise).
+ */
+
+// Duplicate images have distance 0; clamp so lambda = 1 / distance stays finite
+const MIN_DISTANCE = 1e-10;
+
+export class HDBSCAN {
+    constructor() {
+        this.noise = [];
+        this.probabilities = new Float32Array(0);
+        this.labels = new Int32Array(0);
+    }
+
+    /**
+     * @param {CondensedDistanceMatrix} distanceMatrix - Pairwise distances.
+     * @param {number} minClusterSize - Smallest group reported as a cluster (≥ 2).
+     * @param {number} minSamples - Neighbourhood size for core distances; larger = more conservative (≥ 1).
+     * @returns {number[][]} Point indices per cluster.
+     */
+    run(distanceMatrix, minClusterSize = 5, minSamples = minClusterSize) {
+        const n = distanceMatrix.size;
+        minClusterSize = Math.max(2, Math.floor(minClusterSize));
+        minSamples = Math.max(1, Math.min(Math.floor(minSamples), n));
+
+        this.labels = new Int32Array(n).fill(-1);
+        this.probabilities = new Float32Array(n);
+        if (n < minClusterSize) {
+            this.noise = Array.from({ length: n }, (_, i) => i);
+            return [];
+        }
+
+        const core = this.coreDistances(distanceMatrix, minSamples);
+        const edges = this.mutualReachabilityMST(distanceMatrix, core);
+        const tree = this.singleLinkage(edges, n);
+        const condensed = this.condense(tree, n, minClusterSize);
+        const selected = this.selectClusters(condensed);
+        return this.assign(condensed, selected, n);
+    }
+
+    coreDistances(distanceMatrix, minSamples) {
+        const buffer = new Float32Array(distanceMatrix.size);
+        return Float64Array.from({ length: distanceMatrix.size }, (_, i) => distanceMatrix.row(i, buffer).sort()[minSamples - 1]);
+    }
+
+    /**
+     * Prim's algorithm on the dense mutual reachability graph.
+     * @returns {Array<[number, number, number]>} n-1 edges (a, b, weight), sorted by weight.
+     */
+    mutualReachabilityMST(distanceMatrix, core) {
+        const n = distanceMatrix.size;
+        const row = new Float32Array(n);
+        const inTree = new Uint8Array(n);
+        const best = new Float64Array(n).fill(Infinity);
+        const from = new Int32Array(n);
+        const edges = [];
+
+        let current = 0;
+        inTree[0] = 1;
+        for (let step = 1; step < n; step++) {
+            distanceMatrix.row(current, row);
+            let next = -1;
+            let nextWeight = Infinity;
+            for (let j = 0; j < n; j++) {
+                if (inTree[j]) continue;
+                const weight = Math.max(row[j], core[current], core[j]);
+                if (weight < best[j]) {
+                    best[j] = weight;
+                    from[j] = current;
+                }
+                if (best[j] < nextWeight) {
+                    nextWeight = best[j];
+                    next = j;
+                }
+            }
+            inTree[next] = 1;
+            edges.push([from[next], next, nextWeight]);
+            current = next;
+        }
+        return edges.sort((a, b) => a[2] - b[2]);
+    }
+
+    /**
+     * Merge MST edges in order into a binary hierarchy. Node ids < n are points; node n + k is the k-th merge.
+     */
+    singleLinkage(edges, n) {
+        const parent = new Int32Array(2 * n - 1).map((_, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        const left = new Int32Array(n - 1);
+        const right = new Int32Array(n - 1);
+        const distance = new Float64Array(n - 1);
+        const size = new Int32Array(2 * n - 1).fill(1);
+
+        edges.forEach(([a, b, weight], k) => {
+            const node = n + k;
+            const ra = find(a);
+            const rb = find(b);
+            left[k] = ra;
+            right[k] = rb;
+            distance[k] = weight;
+            size[node] = size[ra] + size[rb];
+            parent[ra] = node;
+            parent[rb] = node;
+        });
+        return { left, right, distance, size, root: 2 * n - 2 };
+    }
+
+    /**
+     * Walk the hierarchy top-down and keep only splits where both sides have at least minClusterSize points.
+     * Cluster ids are assigned parents-first, so every child id is larger than its parent's.
+     */
+    condense(tree, n, minClusterSize) {
+        const { left, right, distance, size } = tree;
+        const clusterParent = [-1];
+        const birth = [0];
+        const clusterSize = [n];
+        const pointCluster = new Int32Array(n);
+        const pointLambda = new Float64Array(n);
+
+        const dropPoints = (node, cluster, lambda) => {
+            const stack = [node];
+            while (stack.length > 0) {
+                const current = stack.pop();
+                if (current < n) {
+                    pointCluster[current] = cluster;
+                    pointLambda[current] = lambda;
+                } else {
+                    stack.push(left[current - n], right[current - n]);
+                }
+            }
+        };
+
+        const stack = [[tree.root, 0]];
+        while (stack.length > 0) {
+            const [node, cluster] = stack.pop();
+            if (node < n) {
+                // Only reached when a lone point continues a cluster
+                dropPoints(node, cluster, birth[cluster]);
+                continue;
+            }
+            const k = node - n;
+            const lambda = 1 / Math.max(distance[k], MIN_DISTANCE);
+            const a = left[k];
+            const b = right[k];
+            const bigA = size[a] >= minClusterSize;
+            const bigB = size[b] >= minClusterSize;
+
+            if (bigA && bigB) {
+                for (const child of [a, b]) {
+                    const id = clusterParent.length;
+                    clusterParent.push(cluster);
+                    birth.push(lambda);
+                    clusterSize.push(size[child]);
+                    stack.push([child, id]);
+                }
+            } else if (bigA || bigB) {
+                // The cluster carries on in the big side; the small side falls out
+                dropPoints(bigA ? b : a, cluster, lambda);
+                stack.push([bigA ? a : b, cluster]);
+            } else {
+                dropPoints(a, cluster, lambda);
+                dropPoints(b, cluster, lambda);
+            }
+        }
+
+        return { clusterParent, birth, clusterSize, pointCluster, pointLambda };
+    }
+
+    /**
+     * Excess-of-mass selection. The root (the whole data set) is never selected.
+     * @returns {Uint8Array} 1 for selected cluster ids.
+     */
+    selectClusters(condensed) {
+        const { clusterParent, birth, clusterSize, pointCluster, pointLambda } = condensed;
+        const count = clusterParent.length;
+
+        // stability(c) = Σ over members (λ at which they leave c − λ at which c was born)
+        const stability = new Float64Array(count);
+        pointCluster.forEach((c, p) => { stability[c] += pointLambda[p] - birth[c]; });
+        for (let c = 1; c < count; c++) {
+            const parent = clusterParent[c];
+            stability[parent] += (birth[c] - birth[parent]) * clusterSize[c];
+        }
+
+        const selected = new Uint8Array(count);
+        const best = new Float64Array(count);
+        const childSum = new Float64Array(count);
+        const hasChildren = new Uint8Array(count);
+        for (let c = 1; c < count; c++) hasChildren[clusterParent[c]] = 1;
+
+        for (let c = count - 1; c >= 1; c--) {
+            if (!hasChildren[c] || stability[c] >= childSum[c]) {
+                selected[c] = 1;
+                best[c] = stability[c];
+            } else {
+                best[c] = childSum[c];
+            }
+            childSum[clusterParent[c]] += best[c];
+        }
+
+        // Keep only the top-most selected clusters
+        for (let c = 1; c < count; c++) {
+            for (let a = clusterParent[c]; a > 0; a = clusterParent[a]) {
+                if (selected[a]) {
+                    selected[c] = 0;
+                    break;
+                }
+            }
+        }
+        return selected;
+    }
+
+    /**
+     * Label every point with its selected ancestor cluster and compute membership probabilities.
+     */
+    assign(condensed, selected, n) {
+        const { clusterParent, pointCluster, pointLambda } = condensed;
+
+        const owner = new Int32Array(clusterParent.length).fill(-1);
+        for (let c = 1; c < clusterParent.length; c++) {
+            owner[c] = selected[c] ? c : owner[clusterParent[c]];
+        }
+
+        const clusterIndex = new Map();
+        const clusters = [];
+        const maxLambda = [];
+        this.noise = [];
+        for (let p = 0; p < n; p++) {
+            const c = owner[pointCluster[p]];
+            if (c < 0) {
+                this.noise.push(p);
+                continue;
+            }
+            if (!clusterIndex.has(c)) {
+                clusterIndex.set(c, clusters.length);
+                clusters.push([]);
+                maxLambda.push(0);
+            }
+            const label = clusterIndex.get(c);
+            clusters[label].push(p);
+            this.labels[p] = label;
+            maxLambda[label] = Math.max(maxLambda[label], pointLambda[p]);
+        }
+
+        for (let p = 0; p < n; p++) {
+            const label = this.labels[p];
+            if (label < 0) continue;
+            this.probabilities[p] = maxLambda[label] > 0 ? Math.min(pointLambda[p], maxLambda[label]) / maxLambda[label] : 1;
+        }
+        return clusters;
+    }
+}
@@ -0,0 +1,96 @@
+import { Cluster } from './vendor/ml-hclust.js';
+
+/**
+ * Agglomerative Hierarchical Clustering on a CondensedDistanceMatrix
+ * Same Lance–Williams updates as the vendored agnes, but without its dense copies: agnes turns the input
+ * into an n×n Matrix and allocates a fresh (n-1)² matrix at every merge, whereas this works on a single
+ * packed copy of the upper triangle (n(n-1)/2 floats) and updates it in place.
+ *   - Each active cluster caches its nearest neighbour, so a merge costs O(n) plus a rescan of the rows
+ *     whose nearest neighbour was one of the merged pair (O(n²) overall for typical data).
+ *   - The result is a tree of agnes `Cluster` nodes, so `cut`, `group` and `traverse` work as before.
+ */
+
+/**
+ * Lance–Williams update: distance from the merge of i and j to k, given d(i, k), d(j, k), d(i, j)
+ * and the cluster sizes.
+ */
+const LINKAGES = {
+    single: (dik, djk) => Math.min(dik, djk),
+    complete: (dik, djk) => Math.max(dik, djk),
+    average: (dik, djk, dij, ni, nj) => (ni * dik + nj * djk) / (ni + nj),
+    ward: (dik, djk, dij, ni, nj, nk) => ((ni + nk) * dik + (nj + nk) * djk - nk * dij) / (ni + nj + nk)
+};
+
+/**
+ * @param {CondensedDistanceMatrix} distanceMatrix - Pairwise distances (not modified).
+ * @param {string} method - 'single', 'complete', 'average' or 'ward'.
+ * @returns {Cluster} Root of the tree; leaves carry the image index, inner nodes the merge height.
+ */
+export function agglomerate(distanceMatrix, method = 'average') {
+    const update = LINKAGES[method];
+    if (!update) throw new RangeError(`Unknown linkage: ${method}`);
+    const n = distanceMatrix.size;
+    const data = distanceMatrix.data.slice();
+    const offset = (i, j) => (i < j ? distanceMatrix.offset(i, j) : distanceMatrix.offset(j, i));
+
+    const nodes = Array.from({ length: n }, (_, i) => {
+        const leaf = new Cluster();
+        leaf.isLeaf = true;
+        leaf.index = i;
+        return leaf;
+    });
+    if (n === 0) return new Cluster();
+
+    const active = Array.from({ length: n }, (_, i) => i);
+    const nearest = new Int32Array(n);
+    const nearestDistance = new Float64Array(n);
+    const findNearest = (i) => {
+        let best = -1;
+        let bestDistance = Infinity;
+        for (const k of active) {
+            if (k === i) continue;
+            const d = data[offset(i, k)];
+            if (d < bestDistance) {
+                bestDistance = d;
+                best = k;
+            }
+        }
+        nearest[i] = best;
+        nearestDistance[i] = bestDistance;
+    };
+    for (const i of active) findNearest(i);
+
+    while (active.length > 1) {
+        // Closest pair among the cached nearest neighbours
+        let i = active[0];
+        for (const k of active) if (nearestDistance[k] < nearestDistance[i]) i = k;
+        const j = nearest[i];
+        const height = nearestDistance[i];
+
+        const merged = new Cluster();
+        merged.children.push(nodes[i], nodes[j]);
+        merged.size = nodes[i].size + nodes[j].size;
+        merged.height = height;
+
+        // The merge takes slot i; j drops out
+        active.splice(active.indexOf(j), 1);
+        for (const k of active) {
+            if (k === i) continue;
+            data[offset(i, k)] = update(data[offset(i, k)], data[offset(j, k)], height, nodes[i].size, nodes[j].size, nodes[k].size);
+        }
+        nodes[i] = merged;
+        nodes[j] = null;
+
+        findNearest(i);
+        for (const k of active) {
+            if (k === i) continue;
+            if (nearest[k] === i || nearest[k] === j) {
+                findNearest(k);
+            } else if (data[offset(i, k)] < nearestDistance[k]) {
+                nearest[k] = i;
+                nearestDistance[k] = data[offset(i, k)];
+            }
+        }
+    }
+    return nodes[active[0]];
+}
@@ -0,0 +1,332 @@
+import Heap from './vendor/heap.js';
+import { runDistanceWorker } from './distance_matrix.js';
+import { seededRandom } from './vector_math.js';
+
+/**
+ * HNSW Approximate Nearest-Neighbour Index (Malkov & Yashunin 2018)
+ * A layered proximity graph over a run's unit-normalised embeddings (cosine distance = 1 - dot).
+ * Searches descend greedily through the sparse upper layers and finish with a best-first search
+ * on layer 0, so a k-NN query costs roughly O(log n) distance computations instead of n.
+ * Like CondensedDistanceMatrix it serves `neighbors(i, radius)`, which lets DBSCAN and OPTICS
+ * run on large collections without a full distance matrix; results may miss a few true neighbours.
+ *
+ * Persisted per generation run as `hnswIndex.bin` (little-endian):
+ *   0  char[4]  magic 'HNSW'
+ *   4  uint16   format version
+ *   6  uint16   M (links per node on the upper layers; layer 0 allows 2M)
+ *   8  uint32   count
+ *   12 uint32   dimension
+ *   16 uint32   fingerprint of the vectors (detects a stale index after the run changed)
+ *   20 int32    entry point
+ *   24 uint32   efConstruction
+ *   28 uint32   graph length in int32 values
+ *   32          graph: per node its top layer L, then for each layer 0..L the link count and the linked nodes
+ * The vectors themselves are not stored; they come from the run's embeddings.
+ */
+
+const MAGIC = 'HNSW';
+const VERSION = 1;
+const HEADER_BYTES = 32;
+const MAX_LEVEL = 16;
+
+export const NEIGHBOR_INDEX_FILE = 'hnswIndex.bin';
+
+const nearestFirst = (a, b) => a.dist - b.dist || a.id - b.id;
+const farthestFirst = (a, b) => b.dist - a.dist || b.id - a.id;
+
+export class HNSWIndex {
+    /**
+     * @param {Float32Array} vectors - Packed unit vectors (see packNormalized).
+     * @param {number} n
+     * @param {number} dim
+     * @param {Object} options - `M` (default 16), `efConstruction` (default 100), `efSearch` (default 64).
+     */
+    constructor(vectors, n, dim, { M = 16, efConstruction = 100, efSearch = 64 } = {}) {
+        this.vectors = vectors;
+        this.size = n;
+        this.dim = dim;
+        this.M = M;
+        this.efConstruction = efConstruction;
+        this.efSearch = efSearch;
+        // links[node][layer] = linked node ids
+        this.links = new Array(n);
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        // Visit marks stamped with a per-search counter, so searches need no Set
+        this.visited = new Uint32Array(n);
+        this.visitStamp = 0;
+    }
+
+    /**
+     * Build an index by inserting every vector. Layers are drawn from a seeded generator,
+     * so the same run always produces the same graph.
+     * @param {Function} [onProgress] - Called with (inserted, n) every few hundred insertions.
+     * @returns {HNSWIndex}
+     */
+    static build(vectors, n, dim, options = {}, onProgress = null) {
+        const index = new HNSWIndex(vectors, n, dim, options);
+        const random = seededRandom(options.seed ?? 1);
+        const levelFactor = 1 / Math.log(index.M);
+        for (let i = 0; i < n; i++) {
+            const level = Math.min(MAX_LEVEL, Math.floor(-Math.log(1 - random()) * levelFactor));
+            index.insert(i, level);
+            if (onProgress && (i % 250 === 249 || i === n - 1)) onProgress(i + 1, n);
+        }
+        return index;
+    }
+
+    /**
+     * Cheap content check: FNV-1a over the first and last component of every vector and the shape.
+     * @returns {number}
+     */
+    static fingerprint(vectors, n, dim) {
+        const bits = new Uint32Array(vectors.buffer, vectors.byteOffset, vectors.length);
+        let hash = 0x811c9dc5;
+        const mix = (value) => { hash = Math.imul(hash ^ value, 0x01000193) >>> 0; };
+        mix(n);
+        mix(dim);
+        if (dim > 0) {
+            for (let i = 0; i < n; i++) {
+                mix(bits[i * dim]);
+                mix(bits[i * dim + dim - 1]);
+            }
+        }
+        return hash;
+    }
+
+    distance(a, b) {
+        const dim = this.dim;
+        const offsetA = a * dim;
+        const offsetB = b * dim;
+        let sum = 0;
+        for (let d = 0; d < dim; d++) sum += this.vectors[offsetA + d] * this.vectors[offsetB + d];
+        return Math.max(0, 1 - sum);
+    }
+
+    insert(q, level) {
+        this.links[q] = Array.from({ length: level + 1 }, () => []);
+        if (this.entryPoint < 0) {
+            this.entryPoint = q;
+            this.maxLevel = level;
+            return;
+        }
+
+        let entry = this.descend(q, level);
+        for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+            const candidates = this.searchLayer(q, entry, this.efConstruction, layer);
+            const maxLinks = layer === 0 ? 2 * this.M : this.M;
+            const chosen = this.selectNeighbors(candidates, this.M);
+            this.links[q][layer] = chosen.map(c => c.id);
+
+            for (const { id } of chosen) {
+                const list = this.links[id][layer];
+                list.push(q);
+                if (list.length > maxLinks) {
+                    const scored = list.map(j => ({ id: j, dist: this.distance(id, j) })).sort(nearestFirst);
+                    this.links[id][layer] = this.selectNeighbors(scored, maxLinks).map(c => c.id);
+                }
+            }
+            entry = candidates;
+        }
+
+        if (level > this.maxLevel) {
+            this.maxLevel = level;
+            this.entryPoint = q;
+        }
+    }
+
+    /**
+     * Greedy walk from the entry point down to `level` (exclusive).
+     * @returns {Array<{ id: number, dist: number }>} Entry for the search on `level`.
+     */
+    descend(q, level) {
+        let current = this.entryPoint;
+        let currentDist = this.distance(q, current);
+        for (let layer = this.maxLevel; layer > level; layer--) {
+            let improved = true;
+            while (improved) {
+                improved = false;
+                for (const j of this.links[current][layer]) {
+                    const d = this.distance(q, j);
+                    if (d < currentDist) {
+                        currentDist = d;
+                        current = j;
+                        improved = true;
+                    }
+                }
+            }
+        }
+        return [{ id: current, dist: currentDist }];
+    }
+
+    /**
+     * Best-first search on one layer keeping the `ef` closest nodes found.
+     * @returns {Array<{ id: number, dist: number }>} Nearest first.
+     */
+    searchLayer(q, entry, ef, layer) {
+        const stamp = ++this.visitStamp;
+        const candidates = new Heap(nearestFirst);
+        const results = new Heap(farthestFirst);
+        for (const e of entry) {
+            this.visited[e.id] = stamp;
+            candidates.push(e);
+            results.push(e);
+            if (results.size() > ef) results.pop();
+        }
+
+        while (!candidates.empty()) {
+            const current = candidates.pop();
+            if (current.dist > results.peek().dist && results.size() >= ef) break;
+            for (const j of this.links[current.id][layer] || []) {
+                if (this.visited[j] === stamp) continue;
+                this.visited[j] = stamp;
+                const d = this.distance(q, j);
+                if (results.size() < ef || d < results.peek().dist) {
+                    const found = { id: j, dist: d };
+                    candidates.push(found);
+                    results.push(found);
+                    if (results.size() > ef) results.pop();
+                }
+            }
+        }
+        return results.toArray().sort(nearestFirst);
+    }
+
+    /**
+     * Neighbour selection heuristic: skip a candidate that is closer to an already chosen
+     * neighbour than to the new node (keeps links spread across directions), then top up
+     * with the skipped ones.
+     * @param {Array<{ id: number, dist: number }>} candidates - Nearest first.
+     */
+    selectNeighbors(candidates, m) {
+        const chosen = [];
+        const skipped = [];
+        for (const c of candidates) {
+            if (chosen.length >= m) break;
+            if (chosen.every(r => this.distance(c.id, r.id) > c.dist)) chosen.push(c);
+            else skipped.push(c);
+        }
+        for (const c of skipped) {
+            if (chosen.length >= m) break;
+            chosen.push(c);
+        }
+        return chosen;
+    }
+
+    /**
+     * Approximate k nearest images to image i (itself included).
+     * @param {number} i
+     * @param {number} k
+     * @param {number} [ef] - Search breadth; larger = more accurate and slower.
+     * @returns {{ indices: number[], distances: number[] }} Nearest first.
+     */
+    knn(i, k, ef = Math.max(k, this.efSearch)) {
+        const found = this.searchLayer(i, this.descend(i, 0), Math.max(ef, k), 0);
+        // The query is in the graph; make sure it counts itself as MinPts does, even if the search missed it
+        if (!found.some(c => c.id === i)) found.unshift({ id: i, dist: 0 });
+        const nearest = found.slice(0, k);
+        return { indices: nearest.map(c => c.id), distances: nearest.map(c => c.dist) };
+    }
+
+    /**
+     * Approximate radius query: k-NN with k doubled until the k-th neighbour lies outside `radius`.
+     * @param {number} i
+     * @param {number} radius - Inclusive.
+     * @returns {{ indices: number[], distances: number[] }} Nearest first.
+     */
+    neighbors(i, radius) {
+        let k = Math.min(this.size, 32);
+        for (;;) {
+            const { indices, distances } = this.knn(i, k);
+            const complete = indices.length < k || distances[distances.length - 1] > radius || k >= this.size;
+            if (complete) {
+                let count = 0;
+                while (count < distances.length && distances[count] <= radius) count++;
+                return { indices: indices.slice(0, count), distances: distances.slice(0, count) };
+            }
+            k = Math.min(this.size, k * 2);
+        }
+    }
+
+    /**
+     * @returns {ArrayBuffer} The persisted form (see the layout above).
+     */
+    encode() {
+        const graph = [];
+        for (let i = 0; i < this.size; i++) {
+            const layers = this.links[i];
+            graph.push(layers.length - 1);
+            for (const list of layers) graph.push(list.length, ...list);
+        }
+
+        const buffer = new ArrayBuffer(HEADER_BYTES + graph.length * 4);
+        const view = new DataView(buffer);
+        for (let i = 0; i < 4; i++) view.setUint8(i, MAGIC.charCodeAt(i));
+        view.setUint16(4, VERSION, true);
+        view.setUint16(6, this.M, true);
+        view.setUint32(8, this.size, true);
+        view.setUint32(12, this.dim, true);
+        view.setUint32(16, HNSWIndex.fingerprint(this.vectors, this.size, this.dim), true);
+        view.setInt32(20, this.entryPoint, true);
+        view.setUint32(24, this.efConstruction, true);
+        view.setUint32(28, graph.length, true);
+        new Int32Array(buffer, HEADER_BYTES, graph.length).set(graph);
+        return buffer;
+    }
+
+    /**
+     * Restore an index for the given vectors.
+     * @param {ArrayBuffer} buffer - Output of encode().
+     * @param {Float32Array} vectors - Packed unit vectors of the run.
+     * @param {number} n
+     * @param {number} dim
+     * @returns {HNSWIndex}
+     * @throws {Error} If the file is not an index or was built from different vectors.
+     */
+    static decode(buffer, vectors, n, dim) {
+        if (buffer.byteLength < HEADER_BYTES) throw new Error("Neighbour index file is truncated.");
+        const view = new DataView(buffer);
+        const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+        if (magic !== MAGIC) throw new Error("Not a neighbour index file.");
+        const version = view.getUint16(4, true);
+        if (version > VERSION) throw new Error(`Unsupported neighbour index version ${version}.`);
+
+        const count = view.getUint32(8, true);
+        const storedDim = view.getUint32(12, true);
+        if (count !== n || storedDim !== dim || view.getUint32(16, true) !== HNSWIndex.fingerprint(vectors, n, dim)) {
+            throw new Error("Neighbour index is out of date for this run.");
+        }
+
+        const index = new HNSWIndex(vectors, n, dim, { M: view.getUint16(6, true), efConstruction: view.getUint32(24, true) });
+        const graphLength = view.getUint32(28, true);
+        if (buffer.byteLength < HEADER_BYTES + graphLength * 4) throw new Error("Neighbour index file is truncated.");
+        const graph = new Int32Array(buffer, HEADER_BYTES, graphLength);
+        let pos = 0;
+        for (let i = 0; i < n; i++) {
+            const top = graph[pos++];
+            const layers = [];
+            for (let layer = 0; layer <= top; layer++) {
+                const length = graph[pos++];
+                layers.push(Array.from(graph.subarray(pos, pos + length)));
+                pos += length;
+            }
+            index.links[i] = layers;
+            index.maxLevel = Math.max(index.maxLevel, top);
+        }
+        index.entryPoint = view.getInt32(20, true);
+        return index;
+    }
+}
+
+/**
+ * Build an index in the distance worker.
+ * @param {{ vectors: Float32Array, n: number, dim: number }} packed - Output of packNormalized; the vectors are
+ *   moved to the worker and come back with the result.
+ * @param {Object} [options] - HNSWIndex options.
+ * @param {Function} [onProgress] - Called with the completed fraction (0..1).
+ * @returns {Promise<{ index: HNSWIndex, buffer: ArrayBuffer }>} The index and its encoded form, ready to save.
+ */
+export async function buildNeighborIndex({ vectors, n, dim }, options = {}, onProgress = null) {
+    const result = await runDistanceWorker({ type: 'index', vectors, n, dim, options }, [vectors.buffer], onProgress);
+    return { index: HNSWIndex.decode(result.buffer, result.vectors, n, dim), buffer: result.buffer };
+}
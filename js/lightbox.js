@@ -0,0 +1,174 @@
+/**
+ * Lightbox
+ * Full-size viewer for one image of a cluster, with its caption, filename, dimensions and cluster.
+ * Keys: ← / → step through the cluster, 1–9 move the image to that cluster, M picks any cluster,
+ * X or Delete excludes it (moves it to Unclustered), Esc closes.
+ * Moves are reported through onMove(imgIndex, target) and the viewer goes on with the next image.
+ */
+export class Lightbox {
+    /**
+     * @param {FileSystemManager} fileSystem
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onMove - `(imgIndex, target)`; target is a cluster index or 'noise'.
+     */
+    constructor(fileSystem, { onMove }) {
+        this.fs = fileSystem;
+        this.onMove = onMove;
+        this.element = null;
+        this.objectUrl = null;
+        // Incremented by every show(), so a read that finishes after the user stepped on is dropped
+        this.showToken = 0;
+        this.onKey = (e) => this.handleKey(e);
+    }
+
+    /**
+     * @param {Object} view
+     * @param {number[]} view.indices - Image indices of the cluster, in display order.
+     * @param {number} view.position - Position in `indices` to show first.
+     * @param {string[]} view.filenames
+     * @param {string[]} view.captions
+     * @param {Function} view.getClusterName - `() => string`, e.g. "Cluster 3" or "Unclustered"
+     *   (a function because clusters are renumbered when a manual edit empties one).
+     * @param {Function} view.getTargets - `() => Array<{ value: number|'noise', label: string }>`, the groups
+     *   the image can be moved to (not including its own).
+     * @param {Function} [view.describe] - `(imgIndex) => string` extra details (EXIF, membership).
+     */
+    open({ indices, position, filenames, captions, getClusterName, getTargets, describe = null }) {
+        this.indices = [...indices];
+        this.position = position;
+        this.filenames = filenames;
+        this.captions = captions;
+        this.getClusterName = getClusterName;
+        this.getTargets = getTargets;
+        this.describe = describe;
+        if (!this.element) this.build();
+        document.body.appendChild(this.element);
+        document.addEventListener('keydown', this.onKey);
+        this.show();
+    }
+
+    close() {
+        if (!this.element || !this.element.parentNode) return;
+        document.removeEventListener('keydown', this.onKey);
+        this.element.remove();
+        // Drop any read still in flight
+        this.showToken++;
+        this.releaseImage();
+    }
+
+    build() {
+        this.element = document.createElement('div');
+        this.element.className = 'lightbox';
+        this.element.innerHTML = `
+            <button class="lightbox-nav prev" title="Previous (←)">‹</button>
+            <figure class="lightbox-figure">
+                <img class="lightbox-image" alt="">
+                <figcaption class="lightbox-info">
+                    <div class="lightbox-caption"></div>
+                    <div class="lightbox-details"></div>
+                    <div class="lightbox-actions">
+                        <select class="lightbox-move" title="Move to another cluster (M, or 1–9)"></select>
+                        <button class="secondary-btn lightbox-exclude" title="Move to Unclustered (X)">Exclude</button>
+                        <button class="secondary-btn lightbox-close" title="Close (Esc)">Close</button>
+                    </div>
+                </figcaption>
+            </figure>
+            <button class="lightbox-nav next" title="Next (→)">›</button>
+        `;
+        this.image = this.element.querySelector('.lightbox-image');
+        this.captionEl = this.element.querySelector('.lightbox-caption');
+        this.detailsEl = this.element.querySelector('.lightbox-details');
+        this.moveSelect = this.element.querySelector('.lightbox-move');
+
+        this.element.querySelector('.prev').addEventListener('click', () => this.step(-1));
+        this.element.querySelector('.next').addEventListener('click', () => this.step(1));
+        this.element.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+        this.element.querySelector('.lightbox-exclude').addEventListener('click', () => this.move('noise'));
+        this.moveSelect.addEventListener('change', () => {
+            const value = this.moveSelect.value;
+            if (value !== '') this.move(value === 'noise' ? 'noise' : parseInt(value));
+        });
+        // Clicking the dark backdrop closes
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close();
+        });
+        this.image.addEventListener('load', () => this.updateDetails());
+    }
+
+    async show() {
+        const imgIndex = this.indices[this.position];
+        const filename = this.filenames[imgIndex];
+        this.captionEl.textContent = this.captions[imgIndex] || '';
+        this.moveSelect.innerHTML = '<option value="">Move to…</option>';
+        for (const { value, label } of this.getTargets()) this.moveSelect.add(new Option(label, value));
+        this.element.querySelector('.prev').disabled = this.position === 0;
+        this.element.querySelector('.next').disabled = this.position === this.indices.length - 1;
+
+        const token = ++this.showToken;
+        this.releaseImage();
+        this.image.removeAttribute('src');
+        this.updateDetails();
+        const blob = await this.fs.readFile(filename, 'blob');
+        // Ignore a slow read when the user has already stepped on (even back to this same image)
+        if (token !== this.showToken || !blob) return;
+        this.objectUrl = URL.createObjectURL(blob);
+        this.image.src = this.objectUrl;
+        this.image.alt = filename;
+    }
+
+    updateDetails() {
+        const imgIndex = this.indices[this.position];
+        const size = this.image.naturalWidth ? `${this.image.naturalWidth}×${this.image.naturalHeight}` : 'loading…';
+        const parts = [
+            this.filenames[imgIndex],
+            size,
+            `${this.getClusterName()} · ${this.position + 1} of ${this.indices.length}`
+        ];
+        const extra = this.describe ? this.describe(imgIndex) : '';
+        if (extra) parts.push(extra);
+        this.detailsEl.textContent = parts.join(' · ');
+    }
+
+    releaseImage() {
+        if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+        this.objectUrl = null;
+    }
+
+    step(delta) {
+        const next = this.position + delta;
+        if (next < 0 || next >= this.indices.length) return;
+        this.position = next;
+        this.show();
+    }
+
+    /**
+     * Move the current image out of this cluster and show the one that takes its place.
+     */
+    move(target) {
+        if (!this.getTargets().some(t => t.value === target)) return;
+        const [imgIndex] = this.indices.splice(this.position, 1);
+        this.onMove(imgIndex, target);
+        if (this.indices.length === 0) {
+            this.close();
+            return;
+        }
+        this.position = Math.min(this.position, this.indices.length - 1);
+        this.show();
+    }
+
+    handleKey(e) {
+        // Let the move dropdown keep its own keyboard handling
+        if (e.target === this.moveSelect) {
+            if (e.key === 'Escape') this.moveSelect.blur();
+            return;
+        }
+        if (e.key === 'ArrowLeft') this.step(-1);
+        else if (e.key === 'ArrowRight') this.step(1);
+        else if (e.key === 'Escape') this.close();
+        else if (e.key === 'x' || e.key === 'X' || e.key === 'Delete') this.move('noise');
+        else if (e.key === 'm' || e.key === 'M') this.moveSelect.focus();
+        else if (/^[1-9]$/.test(e.key)) this.move(parseInt(e.key) - 1);
+        else return;
+        e.preventDefault();
+    }
+}
@@ -0,0 +1,254 @@
+import Heap from './vendor/heap.js';
+
+/**
+ * OPTICS (Ankerst et al. 1999) over a neighbour source: the exact distance matrix or the approximate HNSW index.
+ * Unlike the vendored density-clustering OPTICS, this keeps the cluster ordering and
+ * reachability distances so clusters can be extracted afterwards without recomputing:
+ *   - extractByThreshold(eps): the DBSCAN-equivalent cut of the reachability plot at `eps`.
+ *   - extractXi(xi, minClusterSize): steep-area detection (same algorithm as scikit-learn's `cluster_optics_xi`).
+ * After `run`, `ordering[i]` is the i-th point visited and `reachability[p]` / `coreDistances[p]`
+ * are indexed by point (Infinity = undefined).
+ */
+export class OPTICS {
+    constructor() {
+        this.ordering = [];
+        this.reachability = new Float64Array(0);
+        this.coreDistances = new Float64Array(0);
+        this.predecessor = new Int32Array(0);
+        this.minPts = 1;
+        this.noise = [];
+    }
+
+    /**
+     * Compute the cluster ordering.
+     * @param {CondensedDistanceMatrix|HNSWIndex} source - Neighbour source (`size`, `neighbors(i, radius)`).
+     * @param {number} minPts - Neighbourhood size for core distances (the point itself included).
+     * @param {number} maxEpsilon - Neighbourhood radius; Infinity gives the complete plot
+     *   (only sensible for the exact matrix, every query would return all points).
+     */
+    run(source, minPts, maxEpsilon = Infinity) {
+        const n = source.size;
+        this.minPts = Math.max(1, Math.min(Math.floor(minPts), n));
+
+        this.coreDistances = new Float64Array(n).fill(Infinity);
+        this.reachability = new Float64Array(n).fill(Infinity);
+        this.predecessor = new Int32Array(n).fill(-1);
+        this.ordering = [];
+        const processed = new Uint8Array(n);
+        // Seeds by (reachability, index); entries made stale by a later improvement are skipped
+        const seeds = new Heap((a, b) => a[0] - b[0] || a[1] - b[1]);
+        let nextUnseen = 0;
+
+        for (let step = 0; step < n; step++) {
+            // Next point: smallest reachability among unprocessed points (lowest index on ties)
+            let point = -1;
+            while (!seeds.empty()) {
+                const [reach, candidate] = seeds.pop();
+                if (!processed[candidate] && reach === this.reachability[candidate]) {
+                    point = candidate;
+                    break;
+                }
+            }
+            if (point < 0) {
+                while (processed[nextUnseen]) nextUnseen++;
+                point = nextUnseen;
+            }
+            processed[point] = 1;
+            this.ordering.push(point);
+
+            const { indices, distances } = source.neighbors(point, maxEpsilon);
+            if (indices.length < this.minPts) continue;
+            const core = distances[this.minPts - 1];
+            this.coreDistances[point] = core;
+            indices.forEach((j, k) => {
+                if (processed[j]) return;
+                const reach = Math.max(core, distances[k]);
+                if (reach < this.reachability[j]) {
+                    this.reachability[j] = reach;
+                    this.predecessor[j] = point;
+                    seeds.push([reach, j]);
+                }
+            });
+        }
+        return this.ordering;
+    }
+
+    /**
+     * Reachability distances in cluster order (the values drawn in a reachability plot).
+     * @returns {Float64Array}
+     */
+    getReachabilityPlot() {
+        return Float64Array.from(this.ordering, p => this.reachability[p]);
+    }
+
+    /**
+     * Cut the plot at `eps`: a point whose reachability exceeds `eps` starts a new cluster
+     * if it is a core point at that radius, otherwise it is noise.
+     * @param {number} eps
+     * @returns {number[][]} Point indices per cluster, in plot order.
+     */
+    extractByThreshold(eps) {
+        const clusters = [];
+        this.noise = [];
+        let current = null;
+        for (const p of this.ordering) {
+            if (this.reachability[p] > eps) {
+                if (this.coreDistances[p] <= eps) {
+                    current = [p];
+                    clusters.push(current);
+                } else {
+                    current = null;
+                    this.noise.push(p);
+                }
+            } else if (current) {
+                current.push(p);
+            } else {
+                this.noise.push(p);
+            }
+        }
+        return clusters;
+    }
+
+    /**
+     * Steep-area extraction. A cluster starts in a region where reachability drops by at least
+     * a factor (1 - xi) and ends where it rises by that factor. Nested clusters are resolved in
+     * favour of the smallest (leaf) clusters.
+     * @param {number} xi - Minimum relative steepness, 0..1 (e.g. 0.05).
+     * @param {number} minClusterSize - Smallest cluster reported.
+     * @returns {number[][]} Point indices per cluster, in plot order.
+     */
+    extractXi(xi, minClusterSize = this.minPts) {
+        const ranges = this.xiRanges(xi, Math.max(2, minClusterSize));
+        const n = this.ordering.length;
+
+        const labels = new Int32Array(n).fill(-1);
+        let label = 0;
+        for (const [start, end] of ranges) {
+            let free = true;
+            for (let i = start; i <= end; i++) {
+                if (labels[i] !== -1) {
+                    free = false;
+                    break;
+                }
+            }
+            if (!free) continue;
+            labels.fill(label++, start, end + 1);
+        }
+
+        const clusters = Array.from({ length: label }, () => []);
+        this.noise = [];
+        labels.forEach((l, i) => (l < 0 ? this.noise : clusters[l]).push(this.ordering[i]));
+        return clusters;
+    }
+
+    /**
+     * Candidate cluster ranges [start, end] in plot positions, smaller (nested) clusters first.
+     */
+    xiRanges(xi, minClusterSize) {
+        const plot = [...this.getReachabilityPlot(), Infinity];
+        const n = plot.length - 1;
+        const xiComplement = 1 - xi;
+
+        const steepUp = new Uint8Array(n);
+        const steepDown = new Uint8Array(n);
+        const up = new Uint8Array(n);
+        const down = new Uint8Array(n);
+        for (let i = 0; i < n; i++) {
+            const ratio = plot[i] / plot[i + 1]; // NaN for Infinity/Infinity: neither up nor down
+            steepUp[i] = ratio <= xiComplement ? 1 : 0;
+            steepDown[i] = ratio >= 1 / xiComplement ? 1 : 0;
+            down[i] = ratio > 1 ? 1 : 0;
+            up[i] = ratio < 1 ? 1 : 0;
+        }
+
+        // Steep regions may contain at most minPts consecutive non-steep points going the same way
+        const extendRegion = (steep, opposite, start) => {
+            let end = start;
+            let nonSteep = 0;
+            for (let i = start; i < n; i++) {
+                if (steep[i]) {
+                    nonSteep = 0;
+                    end = i;
+                } else if (!opposite[i]) {
+                    if (++nonSteep > this.minPts) break;
+                } else {
+                    break;
+                }
+            }
+            return end;
+        };
+
+        const filterDownAreas = (areas, mib) => {
+            if (mib === Infinity) return [];
+            const kept = areas.filter(area => mib <= plot[area.start] * xiComplement);
+            kept.forEach(area => { area.mib = Math.max(area.mib, mib); });
+            return kept;
+        };
+
+        let downAreas = [];
+        const ranges = [];
+        let index = 0;
+        let mib = 0; // Maximum reachability in between steep areas
+
+        for (let steepIndex = 0; steepIndex < n; steepIndex++) {
+            if (!steepUp[steepIndex] && !steepDown[steepIndex]) continue;
+            if (steepIndex < index) continue;
+            for (let i = index; i <= steepIndex; i++) mib = Math.max(mib, plot[i]);
+
+            if (steepDown[steepIndex]) {
+                downAreas = filterDownAreas(downAreas, mib);
+                const end = extendRegion(steepDown, up, steepIndex);
+                downAreas.push({ start: steepIndex, end, mib: 0 });
+                index = end + 1;
+                mib = plot[index];
+                continue;
+            }
+
+            downAreas = filterDownAreas(downAreas, mib);
+            const upStart = steepIndex;
+            const upEnd = extendRegion(steepUp, down, upStart);
+            index = upEnd + 1;
+            mib = plot[index];
+
+            const found = [];
+            for (const area of downAreas) {
+                let start = area.start;
+                let end = upEnd;
+                if (plot[end + 1] * xiComplement < area.mib) continue;
+
+                // Trim the longer side so both ends sit at about the same reachability level
+                const downMax = plot[area.start];
+                if (downMax * xiComplement >= plot[end + 1]) {
+                    while (plot[start + 1] > plot[end + 1] && start < area.end) start++;
+                } else if (plot[end + 1] * xiComplement >= downMax) {
+                    while (plot[end - 1] > downMax && end > upStart) end--;
+                }
+
+                const corrected = this.correctPredecessor(plot, start, end);
+                if (!corrected) continue;
+                [start, end] = corrected;
+
+                if (end - start + 1 < minClusterSize) continue;
+                if (start > area.end || end < upStart) continue;
+                found.push([start, end]);
+            }
+            ranges.push(...found.reverse());
+        }
+        return ranges;
+    }
+
+    /**
+     * Shrink a range from the right until its last point's predecessor lies inside it.
+     */
+    correctPredecessor(plot, start, end) {
+        while (start < end) {
+            if (plot[start] > plot[end]) return [start, end];
+            const predecessor = this.predecessor[this.ordering[end]];
+            for (let i = start; i < end; i++) {
+                if (this.ordering[i] === predecessor) return [start, end];
+            }
+            end--;
+        }
+        return null;
+    }
+}
@@ -1,10 +1,24 @@
+import { parseClustersFile } from './run_files.js';
+
+// Destination for images that no cluster claimed
+const UNSORTED_FOLDER = 'Unsorted';
+
 export class OrganizationStep {
     constructor(fileSystem, logger) {
         this.fs = fileSystem;
         this.log = logger;
     }
 
-    async run(sourceClusterRun, mode) {
+    /**
+     * Copy clustered images into `organized_<timestamp>/<cluster folder>/`.
+     * @param {string} sourceClusterRun - Clustering run folder name.
+     * @param {string} mode - 'copy' or 'move'.
+     * @param {Object} options - `folderNames`: 'names' (names given in the results view), 'labels' (best zero-shot
+     *   label) or 'numbers' (Cluster_N).
+     *   `dateSubfolders`: 'none', 'year' or 'month' to split each cluster folder by EXIF capture date.
+     *   `unclustered`: 'unsorted' copies images no cluster claimed into an `Unsorted` folder, 'skip' leaves them out.
+     */
+    async run(sourceClusterRun, mode, options = {}) {
         this.log(`Starting organization from ${sourceClusterRun} (Mode: ${mode})...`);
 
         try {
@@ -21,12 +35,30 @@ export class OrganizationStep {
             }
             const sourceGenRun = parts[1]; // "gen_..."
 
-            const clusters = await this.fs.readFile(`metadata/${sourceClusterRun}/clusters.json`, 'json');
+            const clustersFile = await this.fs.readFile(`metadata/${sourceClusterRun}/clusters.json`, 'json');
             const filenames = await this.fs.readFile(`metadata/${sourceGenRun}/filenamesArray.json`, 'json');
 
-            if (!clusters || !filenames) {
+            if (!clustersFile || !filenames) {
                 throw new Error("Failed to load cluster or filename data.");
             }
+            const { clusters, names, unclustered } = parseClustersFile(clustersFile);
+
+            const naming = options.folderNames || 'numbers';
+            const clusterLabels = naming !== 'numbers'
+                ? await this.fs.readFile(`metadata/${sourceClusterRun}/clusterLabels.json`, 'json')
+                : null;
+            const folderNames = this.getFolderNames(clusters, naming === 'names' ? names : [], clusterLabels, [UNSORTED_FOLDER]);
+
+            // The Unsorted folder is handled as one more group after the clusters
+            const groups = clusters.map((cluster, i) => ({ indices: cluster, folder: folderNames[i] }));
+            if (unclustered.length > 0 && options.unclustered !== 'skip') {
+                groups.push({ indices: unclustered, folder: UNSORTED_FOLDER });
+            }
+
+            const dateSubfolders = options.dateSubfolders || 'none';
+            const exif = dateSubfolders !== 'none'
+                ? await this.fs.readFile(`metadata/${sourceGenRun}/exifArray.json`, 'json') || []
+                : [];
 
             // Create Output Folder
             const now = new Date();
@@ -43,20 +75,20 @@ export class OrganizationStep {
             this.log(`Created output folder: ${outputFolder}`);
 
             let totalFiles = 0;
-            for (const cluster of clusters) totalFiles += cluster.length;
+            for (const group of groups) totalFiles += group.indices.length;
 
             let processed = 0;
 
-            for (let i = 0; i < clusters.length; i++) {
-                const cluster = clusters[i];
-                const clusterFolderName = `Cluster_${i + 1}`;
+            for (const { indices: cluster, folder: clusterFolderName } of groups) {
 
                 // Create Cluster Subfolder
                 await this.fs.getDirectoryHandle(`${outputFolder}/${clusterFolderName}`, true);
 
                 for (const imgIndex of cluster) {
                     const filename = filenames[imgIndex];
-                    this.log(`Processing ${filename} -> ${clusterFolderName}`);
+                    const dateFolder = this.getDateFolder(exif[imgIndex], dateSubfolders);
+                    const targetFolder = dateFolder ? `${clusterFolderName}/${dateFolder}` : clusterFolderName;
+                    this.log(`Processing ${filename} -> ${targetFolder}`);
 
                     // Read Source File
                     const fileBlob = await this.fs.readFile(filename, 'blob');
@@ -65,8 +97,8 @@ export class OrganizationStep {
                         continue;
                     }
 
-                    // Write to Destination
-                    await this.fs.writeFile(`${outputFolder}/${clusterFolderName}/${filename}`, fileBlob);
+                    // Write to Destination (recursive runs keep their relative subfolders inside the cluster folder)
+                    await this.fs.writeFile(`${outputFolder}/${targetFolder}/${filename}`, fileBlob);
 
                     // If Move mode, delete original? 
                     // File System Access API doesn't support "move" atomically or "delete" easily in all browsers/contexts without permission prompts.
@@ -96,4 +128,42 @@ export class OrganizationStep {
             console.error(error);
         }
     }
+
+    /**
+     * Folder name per cluster: the cluster's given name, else the best zero-shot label when available, else `Cluster_N`.
+     * Duplicate names (and `reserved` names) get a numeric suffix so clusters never merge on disk.
+     * @param {Array<string|null>} names - Names from clusters.json (empty to ignore them).
+     */
+    getFolderNames(clusters, names, clusterLabels, reserved = []) {
+        const used = new Set(reserved.map(name => name.toLowerCase()));
+        return clusters.map((_, i) => {
+            const best = clusterLabels && clusterLabels[i] && clusterLabels[i][0];
+            let base = names[i] ? this.sanitizeFolderName(names[i]) : '';
+            if (!base && best) base = this.sanitizeFolderName(best.label);
+            if (!base) base = `Cluster_${i + 1}`;
+
+            let name = base;
+            for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}_${n}`;
+            used.add(name.toLowerCase());
+            return name;
+        });
+    }
+
+    /**
+     * Capture-date subfolder for an image ('2023' or '2023-06'), 'Undated' without EXIF date, null when disabled.
+     */
+    getDateFolder(exif, granularity) {
+        if (granularity === 'none') return null;
+        const takenAt = exif && exif.takenAt;
+        if (!takenAt) return 'Undated';
+        return granularity === 'year' ? takenAt.slice(0, 4) : takenAt.slice(0, 7);
+    }
+
+    sanitizeFolderName(name) {
+        return String(name)
+            .replace(/[\\/:*?"<>|\x00-\x1f]/g, '') // Characters not allowed in folder names
+            .replace(/\s+/g, '_')
+            .replace(/^[.\s_]+|[.\s_]+$/g, '')
+            .slice(0, 64);
+    }
 }
@@ -0,0 +1,68 @@
+/**
+ * Parameter Suggestion
+ * Heuristics for picking clustering parameters from a run's distances (the HNSW index stands in for the matrix on large runs):
+ *   - Epsilon (DBSCAN/OPTICS): knee of the sorted k-distance curve (Ester et al.), located with Kneedle.
+ *   - K (K-Means/hierarchical): sweep K, score each result by mean silhouette and record the
+ *     within-cluster scatter so the elbow can be shown next to it.
+ */
+
+/**
+ * Distance from every image to its k-th nearest neighbour (itself counted, as for MinPts), sorted ascending.
+ * @param {CondensedDistanceMatrix|HNSWIndex} source - Exact distances, or the approximate index for large runs.
+ * @param {number} minPts
+ * @returns {Float64Array}
+ */
+export function kDistanceCurve(source, minPts) {
+    const n = source.size;
+    const k = Math.max(1, Math.min(minPts, n)) - 1;
+    if (typeof source.knn === 'function') {
+        return Float64Array.from({ length: n }, (_, i) => {
+            const { distances } = source.knn(i, k + 1);
+            return distances[distances.length - 1];
+        }).sort();
+    }
+    const row = new Float32Array(n);
+    return Float64Array.from({ length: n }, (_, i) => source.row(i, row).sort()[k]).sort();
+}
+
+/**
+ * Kneedle: index of the point farthest from the straight line joining the curve's end points.
+ * Works for increasing convex curves (k-distance) and decreasing convex curves (elbow plots).
+ * @param {ArrayLike<number>} values
+ * @returns {number} Index of the knee (0 when the curve is too short or flat).
+ */
+export function findKnee(values) {
+    const n = values.length;
+    if (n < 3) return 0;
+    const first = values[0];
+    const last = values[n - 1];
+    const range = last - first;
+    if (range === 0) return 0;
+
+    let best = 0;
+    let bestGap = -Infinity;
+    for (let i = 0; i < n; i++) {
+        const x = i / (n - 1);
+        const y = (values[i] - first) / range; // 0..1 along the curve's own direction
+        const gap = Math.abs(x - y);
+        if (gap > bestGap) {
+            bestGap = gap;
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * Sum of squared member-to-medoid distances (the distance-matrix analogue of K-Means inertia).
+ * @param {CondensedDistanceMatrix} distanceMatrix
+ * @param {number[][]} clusters
+ * @param {number[]} medoids - Medoid image index per cluster.
+ */
+export function withinClusterScatter(distanceMatrix, clusters, medoids) {
+    let total = 0;
+    clusters.forEach((cluster, c) => {
+        for (const i of cluster) total += distanceMatrix.get(medoids[c], i) ** 2;
+    });
+    return total;
+}
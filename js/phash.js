@@ -0,0 +1,72 @@
+/**
+ * Perceptual Hashing (dHash)
+ * 64-bit difference hash: the image is reduced to 9x8 greyscale pixels and each bit
+ * records whether a pixel is brighter than its right-hand neighbour. Burst shots,
+ * re-exports and resized copies land within a few bits of each other.
+ * Hashes are stored as 16-character hex strings. Works in workers (OffscreenCanvas).
+ */
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Compute the dHash of an image file.
+ * @param {Blob} blob - Image file.
+ * @returns {Promise<string>} 16-character hex hash.
+ */
+export async function computeDHash(blob) {
+    const bitmap = await createImageBitmap(blob, {
+        resizeWidth: HASH_WIDTH,
+        resizeHeight: HASH_HEIGHT,
+        resizeQuality: 'medium'
+    });
+    const canvas = new OffscreenCanvas(HASH_WIDTH, HASH_HEIGHT);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    const { data } = ctx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT);
+
+    // Rec. 601 luma per pixel
+    const grey = new Float32Array(HASH_WIDTH * HASH_HEIGHT);
+    for (let i = 0; i < grey.length; i++) {
+        grey[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+
+    let hex = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        let byte = 0;
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const left = grey[y * HASH_WIDTH + x];
+            const right = grey[y * HASH_WIDTH + x + 1];
+            byte = (byte << 1) | (left > right ? 1 : 0);
+        }
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+/**
+ * Split a hex hash into two 32-bit words for fast comparisons.
+ * @param {string} hex - 16-character hash.
+ * @returns {Uint32Array}
+ */
+export function hashToWords(hex) {
+    return new Uint32Array([parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)]);
+}
+
+function popcount32(x) {
+    x -= (x >>> 1) & 0x55555555;
+    x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+    x = (x + (x >>> 4)) & 0x0f0f0f0f;
+    return Math.imul(x, 0x01010101) >>> 24;
+}
+
+/**
+ * Number of differing bits between two hashes given as word pairs.
+ * @param {Uint32Array} a - From hashToWords.
+ * @param {Uint32Array} b - From hashToWords.
+ * @returns {number} 0..64
+ */
+export function hammingDistance(a, b) {
+    return popcount32(a[0] ^ b[0]) + popcount32(a[1] ^ b[1]);
+}
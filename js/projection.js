@@ -0,0 +1,186 @@
+import { normalize, dot } from './vector_math.js';
+
+/**
+ * Projections of Embeddings
+ *   - PCA: top principal components (power iteration with deflation on the centred data).
+ *   - t-SNE (van der Maaten & Hinton 2008): exact O(n²) gradient, perplexity-calibrated affinities
+ *     from cosine distances, PCA initialisation, early exaggeration and adaptive gains.
+ * pca2d and tsne2d return one [x, y] pair per embedding for the map; pcaProject keeps more
+ * components to reduce dimensions before the Gaussian mixture.
+ */
+
+/**
+ * @param {Array<ArrayLike<number>>} embeddings
+ * @returns {Array<[number, number]>}
+ */
+export function pca2d(embeddings) {
+    return pcaProject(embeddings, 2).map(p => [p[0], p[1]]);
+}
+
+/**
+ * Coordinates of each embedding on the top principal components.
+ * @param {Array<ArrayLike<number>>} embeddings
+ * @param {number} count - Number of components (at most the embedding dimension).
+ * @returns {Float64Array[]}
+ */
+export function pcaProject(embeddings, count) {
+    const n = embeddings.length;
+    if (n === 0) return [];
+    const dim = embeddings[0].length;
+    count = Math.min(count, dim);
+
+    const centre = new Float64Array(dim);
+    for (const e of embeddings) for (let d = 0; d < dim; d++) centre[d] += e[d] / n;
+    const centred = embeddings.map(e => Float64Array.from(e, (v, d) => v - centre[d]));
+
+    const components = [];
+    for (let c = 0; c < count; c++) {
+        // Deterministic start so the same run always gets the same map
+        let v = normalize(Float64Array.from({ length: dim }, (_, d) => Math.sin(d + 1 + c * 7)));
+        for (let iter = 0; iter < 100; iter++) {
+            // v <- Xᵀ X v, minus the components already found
+            const next = new Float64Array(dim);
+            for (const row of centred) {
+                const proj = dot(row, v);
+                for (let d = 0; d < dim; d++) next[d] += proj * row[d];
+            }
+            for (const prev of components) {
+                const overlap = dot(next, prev);
+                for (let d = 0; d < dim; d++) next[d] -= overlap * prev[d];
+            }
+            const updated = normalize(next);
+            const change = 1 - Math.abs(dot(updated, v));
+            v = updated;
+            if (change < 1e-9) break;
+        }
+        components.push(v);
+    }
+    return centred.map(row => Float64Array.from(components, component => dot(row, component)));
+}
+
+/**
+ * @param {CondensedDistanceMatrix} distanceMatrix - Pairwise (cosine) distances.
+ * @param {Object} options - `perplexity` (default 30), `iterations` (default 500), `init` (starting layout, e.g. PCA).
+ * @param {Function} [onProgress] - Called with (iteration, iterations, positions) every few iterations; may be async.
+ * @returns {Promise<Array<[number, number]>>}
+ */
+export async function tsne2d(distanceMatrix, { perplexity = 30, iterations = 500, init = null } = {}, onProgress = null) {
+    const n = distanceMatrix.size;
+    if (n < 3) return (init || Array.from({ length: n }, (_, i) => [i, 0])).map(p => [p[0], p[1]]);
+
+    const P = affinities(distanceMatrix, Math.min(perplexity, (n - 1) / 3));
+
+    // Start from the given layout scaled to a small spread (std 1e-4), as recommended for PCA init
+    const Y = new Float64Array(n * 2);
+    const start = init || Array.from({ length: n }, (_, i) => [Math.cos(i), Math.sin(i)]);
+    let spread = 0;
+    for (const [x, y] of start) spread += x * x + y * y;
+    const scale = 1e-4 / (Math.sqrt(spread / (2 * n)) || 1);
+    start.forEach(([x, y], i) => { Y[2 * i] = x * scale; Y[2 * i + 1] = y * scale; });
+
+    const velocity = new Float64Array(n * 2);
+    const gains = new Float64Array(n * 2).fill(1);
+    const gradient = new Float64Array(n * 2);
+    const num = new Float64Array(n * n);
+    const learningRate = Math.max(n / 12, 50);
+    const exaggerationEnd = Math.min(250, Math.floor(iterations / 4));
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const exaggeration = iter < exaggerationEnd ? 12 : 1;
+        const momentum = iter < exaggerationEnd ? 0.5 : 0.8;
+
+        // Student-t similarities in the embedding
+        let sumQ = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const dx = Y[2 * i] - Y[2 * j];
+                const dy = Y[2 * i + 1] - Y[2 * j + 1];
+                const q = 1 / (1 + dx * dx + dy * dy);
+                num[i * n + j] = q;
+                num[j * n + i] = q;
+                sumQ += 2 * q;
+            }
+        }
+
+        gradient.fill(0);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                if (i === j) continue;
+                const q = num[i * n + j];
+                const force = 4 * (exaggeration * P[i * n + j] - q / sumQ) * q;
+                gradient[2 * i] += force * (Y[2 * i] - Y[2 * j]);
+                gradient[2 * i + 1] += force * (Y[2 * i + 1] - Y[2 * j + 1]);
+            }
+        }
+
+        for (let k = 0; k < 2 * n; k++) {
+            // Grow the step where the gradient keeps its direction, shrink it where it flips
+            gains[k] = Math.sign(gradient[k]) === Math.sign(velocity[k]) ? gains[k] * 0.8 : gains[k] + 0.2;
+            gains[k] = Math.max(gains[k], 0.01);
+            velocity[k] = momentum * velocity[k] - learningRate * gains[k] * gradient[k];
+            Y[k] += velocity[k];
+        }
+
+        if (onProgress && (iter % 25 === 24 || iter === iterations - 1)) {
+            await onProgress(iter + 1, iterations, toPairs(Y));
+        }
+    }
+    return toPairs(Y);
+}
+
+function toPairs(Y) {
+    const points = [];
+    for (let i = 0; i < Y.length; i += 2) points.push([Y[i], Y[i + 1]]);
+    return points;
+}
+
+/**
+ * Symmetric joint probabilities P (flattened n×n) with each row's Gaussian bandwidth
+ * chosen by binary search so its entropy matches log(perplexity).
+ */
+function affinities(distanceMatrix, perplexity) {
+    const n = distanceMatrix.size;
+    const target = Math.log(perplexity);
+    const conditional = new Float64Array(n * n);
+    const row = new Float32Array(n);
+
+    for (let i = 0; i < n; i++) {
+        distanceMatrix.row(i, row);
+        let beta = 1;
+        let low = -Infinity;
+        let high = Infinity;
+        for (let attempt = 0; attempt < 50; attempt++) {
+            let sum = 0;
+            let weighted = 0;
+            for (let j = 0; j < n; j++) {
+                if (j === i) continue;
+                const d2 = row[j] * row[j];
+                const p = Math.exp(-d2 * beta);
+                conditional[i * n + j] = p;
+                sum += p;
+                weighted += d2 * p;
+            }
+            sum = sum || 1e-12;
+            const entropy = Math.log(sum) + beta * weighted / sum;
+            for (let j = 0; j < n; j++) conditional[i * n + j] /= sum;
+
+            const diff = entropy - target;
+            if (Math.abs(diff) < 1e-5) break;
+            if (diff > 0) {
+                low = beta;
+                beta = high === Infinity ? beta * 2 : (beta + high) / 2;
+            } else {
+                high = beta;
+                beta = low === -Infinity ? beta / 2 : (beta + low) / 2;
+            }
+        }
+    }
+
+    const P = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            P[i * n + j] = Math.max((conditional[i * n + j] + conditional[j * n + i]) / (2 * n), 1e-12);
+        }
+    }
+    return P;
+}
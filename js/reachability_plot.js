@@ -0,0 +1,119 @@
+import { clusterColor, NOISE_COLOR } from './charts.js';
+
+const PLOT_HEIGHT = 180;
+
+/**
+ * Reachability Plot
+ * Draws an OPTICS reachability plot (one bar per image, in cluster order) with a draggable
+ * threshold line and xi controls. Extraction itself is left to the owner through callbacks:
+ *   onThreshold(eps) when the line is released, onXi(xi, minClusterSize) when "Extract" is pressed.
+ */
+export class ReachabilityPlot {
+    constructor(container, { onThreshold, onXi }) {
+        this.container = container;
+        this.onThreshold = onThreshold;
+        this.onXi = onXi;
+        this.plot = new Float64Array(0);
+        this.colors = [];
+        this.threshold = null;
+        this.maxValue = 1;
+        this.build();
+    }
+
+    build() {
+        this.container.innerHTML = `
+            <div class="reachability-header">
+                <h3>📈 Reachability Plot</h3>
+                <small>Valleys are clusters. Drag the line to cut at a distance, or extract by steepness (xi).</small>
+            </div>
+            <canvas class="reachability-canvas" height="${PLOT_HEIGHT}"></canvas>
+            <div class="reachability-controls">
+                <span class="reachability-threshold"></span>
+                <label>Xi <input type="number" class="reachability-xi" min="0.01" max="0.99" step="0.01" value="0.05"></label>
+                <label>Min Cluster Size <input type="number" class="reachability-min-size" min="2" max="500" step="1" value="5"></label>
+                <button class="secondary-btn reachability-xi-btn">Extract (Xi)</button>
+            </div>
+        `;
+        this.canvas = this.container.querySelector('canvas');
+        this.thresholdLabel = this.container.querySelector('.reachability-threshold');
+
+        let dragging = false;
+        const valueAt = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const y = Math.min(Math.max(e.clientY - rect.top, 0), rect.height);
+            return (1 - y / rect.height) * this.maxValue;
+        };
+        this.canvas.addEventListener('pointerdown', (e) => {
+            dragging = true;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.setThreshold(valueAt(e));
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (dragging) this.setThreshold(valueAt(e));
+        });
+        this.canvas.addEventListener('pointerup', () => {
+            if (!dragging) return;
+            dragging = false;
+            this.onThreshold(this.threshold);
+        });
+
+        this.container.querySelector('.reachability-xi-btn').addEventListener('click', () => {
+            const xi = parseFloat(this.container.querySelector('.reachability-xi').value) || 0.05;
+            const minSize = parseInt(this.container.querySelector('.reachability-min-size').value) || 5;
+            this.threshold = null;
+            this.onXi(Math.min(Math.max(xi, 0.01), 0.99), Math.max(2, minSize));
+        });
+    }
+
+    /**
+     * @param {Float64Array} plot - Reachability per plot position (Infinity allowed).
+     * @param {Int32Array|number[]} labels - Cluster index per plot position, -1 for noise.
+     * @param {number|null} threshold - Current cut, or null after an xi extraction.
+     */
+    render(plot, labels, threshold) {
+        this.plot = plot;
+        this.colors = Array.from(labels, clusterColor);
+        const finite = Array.from(plot).filter(Number.isFinite);
+        // Headroom above the tallest finite bar; undefined (Infinity) bars reach the top
+        this.maxValue = Math.max(finite.length > 0 ? Math.max(...finite) * 1.1 : 1, threshold || 0, 1e-6);
+        this.threshold = threshold;
+        this.draw();
+    }
+
+    setThreshold(value) {
+        this.threshold = value;
+        this.draw();
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        const width = Math.max(canvas.clientWidth, 200);
+        canvas.width = width;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, PLOT_HEIGHT);
+
+        const n = this.plot.length;
+        const barWidth = width / Math.max(n, 1);
+        for (let i = 0; i < n; i++) {
+            const value = this.plot[i];
+            const h = Number.isFinite(value) ? (value / this.maxValue) * PLOT_HEIGHT : PLOT_HEIGHT;
+            ctx.fillStyle = Number.isFinite(value) ? this.colors[i] : NOISE_COLOR;
+            // Keep bars at least a pixel wide when there are more images than pixels
+            ctx.fillRect(i * barWidth, PLOT_HEIGHT - h, Math.max(barWidth, 1), h);
+        }
+
+        if (this.threshold !== null) {
+            const y = PLOT_HEIGHT - (this.threshold / this.maxValue) * PLOT_HEIGHT;
+            ctx.strokeStyle = '#111827';
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            this.thresholdLabel.textContent = `Threshold: ${this.threshold.toFixed(3)}`;
+        } else {
+            this.thresholdLabel.textContent = 'Xi extraction';
+        }
+    }
+}
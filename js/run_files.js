@@ -0,0 +1,61 @@
+/**
+ * Optional per-image arrays stored in a generation run folder next to filenamesArray.json.
+ * `field` is the key used on inference results and journal records.
+ * Runs created before an array existed are padded with null when loaded, so every array
+ * stays index-aligned with the filenames.
+ */
+export const SIDE_ARRAYS = [
+    { key: 'hashes', field: 'hash', file: 'hashesArray.json' },
+    { key: 'exif', field: 'exif', file: 'exifArray.json' },
+    { key: 'contentHashes', field: 'contentHash', file: 'contentHashesArray.json' }
+];
+
+/**
+ * Current clusters.json layout:
+ *   `{ "version": 2, "clusters": [{ "name": "Beach", "indices": [...] }, ...], "unclustered": [...] }`
+ * `name` is the name given in the results view, or null for an unnamed cluster.
+ * Written next to it, and aligned with `clusters` (one array per cluster, one entry per index):
+ *   `membershipProbabilities.json` - `[[0.9731, 1, ...], ...]`, each image's membership probability
+ *     (0–1, 4 decimals). Only present when the algorithm produces them (HDBSCAN, Gaussian Mixture);
+ *     a re-clustered cluster without them records 1 for the images its sub-clusters claim.
+ * @param {number[][]} clusters - Image indices per cluster.
+ * @param {Array<string|null>} names - Aligned with `clusters`.
+ * @param {number[]} [unclustered] - Images no cluster claimed (DBSCAN/OPTICS/HDBSCAN noise).
+ */
+export function makeClustersFile(clusters, names, unclustered = []) {
+    return {
+        version: 2,
+        clusters: clusters.map((indices, i) => ({ name: names[i] || null, indices })),
+        unclustered
+    };
+}
+
+/**
+ * Split a clusters.json payload into regular clusters, their names and the unclustered indices.
+ * Also reads the older layout: a plain array of index arrays, optionally followed by a
+ * `{ "unclustered": true, "indices": [...] }` marker entry (those clusters have no names).
+ * @param {Object|Array|null} data
+ * @returns {{ clusters: number[][], names: Array<string|null>, unclustered: number[] }}
+ */
+export function parseClustersFile(data) {
+    const clusters = [];
+    const names = [];
+    const unclustered = [];
+    if (data && !Array.isArray(data)) {
+        for (const entry of data.clusters || []) {
+            clusters.push(entry.indices || []);
+            names.push(entry.name || null);
+        }
+        unclustered.push(...(data.unclustered || []));
+        return { clusters, names, unclustered };
+    }
+    for (const entry of data || []) {
+        if (Array.isArray(entry)) {
+            clusters.push(entry);
+            names.push(null);
+        } else if (entry && entry.unclustered) {
+            unclustered.push(...entry.indices);
+        }
+    }
+    return { clusters, names, unclustered };
+}
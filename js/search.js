@@ -0,0 +1,148 @@
+import { EmbeddingStore, BINARY_EMBEDDINGS_FILE, LEGACY_EMBEDDINGS_FILE } from './embedding_store.js';
+import { GenerationJournal, JOURNAL_FILE } from './generation_journal.js';
+import { ClipTextEncoder } from './clip_text.js';
+import { ThumbnailRenderer } from './thumbnails.js';
+import { normalize, dot } from './vector_math.js';
+
+// Run files whose size and modification time decide whether a cached run is still current
+const RUN_FILES = ['filenamesArray.json', 'captionsArray.json', BINARY_EMBEDDINGS_FILE, LEGACY_EMBEDDINGS_FILE, JOURNAL_FILE];
+
+export class SearchStep {
+    constructor(fileSystem, logger, textEncoder = new ClipTextEncoder(logger)) {
+        this.fs = fileSystem;
+        this.log = logger;
+        this.embeddingStore = new EmbeddingStore(fileSystem);
+        this.journal = new GenerationJournal(fileSystem);
+        this.textEncoder = textEncoder;
+        this.thumbnails = new ThumbnailRenderer(fileSystem);
+        this.cache = null; // { sourceRun, stamp, config, filenames, captions, vectors } for the last searched run
+    }
+
+    /**
+     * Check whether a generation run holds CLIP image embeddings.
+     * @param {string} sourceRun
+     * @param {Object|null} config - The run's config.json, if any.
+     */
+    static isClipRun(sourceRun, config) {
+        return config ? config.mode === 'direct_clip' : sourceRun.includes('_clip');
+    }
+
+    /**
+     * Fingerprint a run's metadata files by size and modification time, without reading them.
+     * Changes whenever Step 1 appends to the journal or compacts it into the arrays.
+     * @param {string} sourceRun
+     * @returns {Promise<string>}
+     */
+    async runStamp(sourceRun) {
+        const stamps = await Promise.all(RUN_FILES.map(async name => {
+            const file = await this.fs.readFile(`metadata/${sourceRun}/${name}`, 'blob');
+            return file ? `${name}:${file.size}:${file.lastModified}` : `${name}:-`;
+        }));
+        return stamps.join('|');
+    }
+
+    async loadRun(sourceRun) {
+        const stamp = await this.runStamp(sourceRun);
+        if (this.cache && this.cache.sourceRun === sourceRun && this.cache.stamp === stamp) return this.cache;
+
+        const config = await this.fs.readFile(`metadata/${sourceRun}/config.json`, 'json');
+        if (!SearchStep.isClipRun(sourceRun, config)) {
+            throw new Error("Text search needs a CLIP generation run (gen_*_clip).");
+        }
+
+        const filenames = await this.fs.readFile(`metadata/${sourceRun}/filenamesArray.json`, 'json') || [];
+        const captions = await this.fs.readFile(`metadata/${sourceRun}/captionsArray.json`, 'json') || [];
+        const { embeddings } = await this.embeddingStore.load(sourceRun);
+        filenames.length = Math.min(filenames.length, embeddings.length);
+        embeddings.length = filenames.length;
+        captions.length = filenames.length;
+
+        // Include journal records not yet compacted, as clustering does (a run in progress is searchable)
+        const processedSet = new Set(filenames);
+        const pending = (await this.journal.read(sourceRun)).filter(r => !processedSet.has(r.filename));
+        for (const record of pending) {
+            filenames.push(record.filename);
+            captions.push(record.caption);
+            embeddings.push(record.embedding);
+        }
+
+        const count = filenames.length;
+        if (count === 0) throw new Error("❌ Metadata files are empty. Please run Step 1 first.");
+
+        // Pre-normalise once so each query is a plain dot product
+        const vectors = new Array(count);
+        for (let i = 0; i < count; i++) {
+            vectors[i] = normalize(embeddings[i]);
+        }
+
+        this.cache = { sourceRun, stamp, config: config || {}, filenames, captions, vectors };
+        return this.cache;
+    }
+
+    /**
+     * Rank every image of a CLIP run by cosine similarity to a text query.
+     * @param {string} sourceRun - Generation run folder.
+     * @param {string} query - Free text, e.g. "sunset over water".
+     * @param {number} topK - Number of matches to return.
+     * @returns {Promise<Array<{ index: number, score: number }>>} Best matches first.
+     */
+    async rank(sourceRun, query, topK) {
+        const run = await this.loadRun(sourceRun);
+        await this.textEncoder.load(run.config.modelFolderName || 'clip-vit-base-patch16', run.config.quantized !== false);
+
+        const [queryVector] = await this.textEncoder.embed([query]);
+        const q = normalize(queryVector);
+        if (q.length !== run.vectors[0].length) {
+            throw new Error(`Text embedding size (${q.length}) does not match the run's image embeddings (${run.vectors[0].length}).`);
+        }
+
+        const scored = run.vectors.map((v, index) => ({ index, score: dot(q, v) }));
+        scored.sort((a, b) => b.score - a.score);
+        return scored.slice(0, topK);
+    }
+
+    async run(sourceRun, query, topK = 24) {
+        const container = document.getElementById('search-results-area');
+        container.hidden = false;
+        container.innerHTML = '<div class="placeholder-text">Searching...</div>';
+
+        try {
+            this.log(`Searching ${sourceRun} for "${query}"...`);
+            const matches = await this.rank(sourceRun, query, topK);
+            const { filenames, captions } = this.cache;
+
+            container.innerHTML = '';
+            const header = document.createElement('div');
+            header.className = 'search-results-header';
+            header.innerHTML = `
+                <h3>Top ${matches.length} matches for “<span></span>”</h3>
+                <button class="secondary-btn">Clear</button>
+            `;
+            header.querySelector('span').textContent = query;
+            header.querySelector('button').addEventListener('click', () => {
+                container.hidden = true;
+                container.innerHTML = '';
+            });
+            container.appendChild(header);
+
+            const scores = new Map(matches.map(m => [m.index, m.score]));
+            const grid = this.thumbnails.createGrid(matches.map(m => m.index), filenames, captions, (imgContainer, imgIndex) => {
+                const badge = document.createElement('span');
+                badge.className = 'search-score';
+                badge.textContent = scores.get(imgIndex).toFixed(3);
+                imgContainer.appendChild(badge);
+            });
+            container.appendChild(grid);
+
+            this.log(`Search complete. Best match: ${filenames[matches[0].index]} (${matches[0].score.toFixed(3)})`);
+        } catch (error) {
+            this.log(`Search failed: ${error.message}`, 'error');
+            console.error('Search error:', error);
+            container.innerHTML = '';
+            const alert = document.createElement('div');
+            alert.className = 'alert-box error';
+            alert.textContent = error.message;
+            container.appendChild(alert);
+        }
+    }
+}
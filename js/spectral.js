@@ -0,0 +1,146 @@
+import clustering from './vendor/density-clustering.js';
+import { Matrix, EigenvalueDecomposition } from './vendor/ml-matrix.js';
+import { dot, seededRandom } from './vector_math.js';
+
+/**
+ * Spectral Clustering (Ng, Jordan & Weiss 2002) on a k-nearest-neighbour affinity graph.
+ *   1. Sparse affinity graph: each image is linked to its `neighbors` nearest images with the
+ *      self-tuning weight exp(-d² / (σᵢσⱼ)), σᵢ = distance to the i-th image's farthest listed neighbour
+ *      (Zelnik-Manor & Perona 2004); links are made symmetric.
+ *   2. Top K eigenvectors of the normalised affinity D^-½ W D^-½, found by subspace iteration on the
+ *      sparse graph (no dense n×n matrix) with a Rayleigh–Ritz step solved by ml-matrix.
+ *   3. Rows of the eigenvector matrix, scaled to unit length, are grouped with K-Means.
+ * Because the graph only follows local neighbourhoods, chained or curved groups that K-Means
+ * would split can come out as one cluster.
+ */
+
+const MAX_ITERATIONS = 300;
+const TOLERANCE = 1e-7;
+// Extra search directions speed up convergence of the K wanted eigenvectors
+const OVERSAMPLING = 5;
+
+export class SpectralClustering {
+    constructor() {
+        this.eigenvalues = [];
+    }
+
+    /**
+     * @param {CondensedDistanceMatrix} distanceMatrix - Pairwise distances.
+     * @param {number} k - Number of clusters.
+     * @param {number} neighbors - Neighbours per image in the affinity graph.
+     * @returns {number[][]} Image indices per cluster.
+     */
+    run(distanceMatrix, k, neighbors = 10) {
+        const n = distanceMatrix.size;
+        k = Math.max(1, Math.min(Math.floor(k), n));
+        if (n <= k) return Array.from({ length: n }, (_, i) => [i]);
+
+        const graph = this.affinityGraph(distanceMatrix, Math.max(1, Math.min(Math.floor(neighbors), n - 1)));
+        const vectors = this.topEigenvectors(graph, n, k);
+
+        // Normalise each image's spectral coordinates to unit length before K-Means
+        const rows = Array.from({ length: n }, (_, i) => {
+            const row = vectors.map(v => v[i]);
+            const norm = Math.sqrt(row.reduce((s, x) => s + x * x, 0)) || 1;
+            return row.map(x => x / norm);
+        });
+        return new clustering.KMEANS().run(rows, k).filter(c => c && c.length > 0);
+    }
+
+    /**
+     * Symmetric sparse k-NN graph with self-tuning Gaussian weights.
+     * @returns {Array<Map<number, number>>} Per image: neighbour → weight.
+     */
+    affinityGraph(distanceMatrix, neighbors) {
+        const n = distanceMatrix.size;
+        const row = new Float32Array(n);
+        const nearest = [];
+        const sigma = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            distanceMatrix.row(i, row);
+            const order = Array.from({ length: n }, (_, j) => j).filter(j => j !== i).sort((a, b) => row[a] - row[b]);
+            nearest.push(order.slice(0, neighbors).map(j => [j, row[j]]));
+            sigma[i] = Math.max(row[order[neighbors - 1]], 1e-6);
+        }
+
+        const graph = Array.from({ length: n }, () => new Map());
+        nearest.forEach((list, i) => {
+            for (const [j, d] of list) {
+                const w = Math.exp(-(d * d) / (sigma[i] * sigma[j]));
+                graph[i].set(j, w);
+                graph[j].set(i, w);
+            }
+        });
+        return graph;
+    }
+
+    /**
+     * Subspace iteration for the largest eigenvectors of D^-½ W D^-½ (shifted by I so all
+     * eigenvalues are non-negative and the wanted ones dominate).
+     * @returns {Float64Array[]} K eigenvectors of length n, largest eigenvalue first.
+     */
+    topEigenvectors(graph, n, k) {
+        const scale = Float64Array.from(graph, links => {
+            let degree = 0;
+            for (const w of links.values()) degree += w;
+            return degree > 0 ? 1 / Math.sqrt(degree) : 0;
+        });
+        const apply = (x) => {
+            const y = Float64Array.from(x);
+            for (let i = 0; i < n; i++) {
+                let sum = 0;
+                for (const [j, w] of graph[i]) sum += w * scale[j] * x[j];
+                y[i] += scale[i] * sum;
+            }
+            return y;
+        };
+
+        const size = Math.min(n, k + OVERSAMPLING);
+        const random = seededRandom(1);
+        let basis = orthonormalize(Array.from({ length: size }, () => Float64Array.from({ length: n }, () => random() - 0.5)));
+        let previous = null;
+        let ritz = null;
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            const images = basis.map(apply);
+            // Rayleigh–Ritz: eigenvectors of the small projected matrix rotate the basis
+            const projected = new Matrix(size, size);
+            for (let a = 0; a < size; a++) {
+                for (let b = 0; b < size; b++) projected.set(a, b, dot(basis[a], images[b]));
+            }
+            const evd = new EigenvalueDecomposition(projected, { assumeSymmetric: true });
+            const order = evd.realEigenvalues.map((value, index) => [value, index]).sort((x, y) => y[0] - x[0]);
+            const rotation = evd.eigenvectorMatrix;
+            ritz = order.map(([, c]) => {
+                const v = new Float64Array(n);
+                for (let a = 0; a < size; a++) {
+                    const weight = rotation.get(a, c);
+                    for (let i = 0; i < n; i++) v[i] += weight * images[a][i];
+                }
+                return v;
+            });
+            const values = order.slice(0, k).map(([value]) => value);
+            basis = orthonormalize(ritz);
+            if (previous && values.every((v, i) => Math.abs(v - previous[i]) < TOLERANCE)) break;
+            previous = values;
+        }
+        // Undo the shift by I
+        this.eigenvalues = previous ? previous.map(v => v - 1) : [];
+        return basis.slice(0, k);
+    }
+}
+
+/** Modified Gram–Schmidt; columns that collapse are replaced by zero vectors. */
+function orthonormalize(columns) {
+    const result = [];
+    for (const column of columns) {
+        const v = Float64Array.from(column);
+        for (const q of result) {
+            const overlap = dot(v, q);
+            for (let i = 0; i < v.length; i++) v[i] -= overlap * q[i];
+        }
+        const norm = Math.sqrt(dot(v, v));
+        if (norm > 1e-12) for (let i = 0; i < v.length; i++) v[i] /= norm;
+        result.push(v);
+    }
+    return result;
+}
@@ -0,0 +1,113 @@
+/**
+ * Thumbnail Renderer
+ * Lazily turns image files into small JPEG thumbnails for result grids
+ * (clustering view, search results, etc.).
+ */
+
+// 1x1 light grey SVG shown until the real thumbnail is loaded
+const PLACEHOLDER_SRC = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIxIiBoZWlnaHQ9IjEiPjxyZWN0IHdpZHRoPSIxIiBoZWlnaHQ9IjEiIGZpbGw9IiNmM2Y0ZjYiLz48L3N2Zz4=';
+
+export class ThumbnailRenderer {
+    constructor(fileSystem, size = 300) {
+        this.fs = fileSystem;
+        this.size = size;
+    }
+
+    /**
+     * Load a downscaled thumbnail of `filename` into an <img>.
+     * @param {HTMLImageElement} img
+     * @param {string} filename - Path relative to the selected folder.
+     */
+    async loadThumbnail(img, filename) {
+        const blob = await this.fs.readFile(filename, 'blob');
+        if (!blob) return;
+
+        try {
+            // Create a thumbnail on the fly to save memory
+            const imgBitmap = await createImageBitmap(blob);
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+
+            // Set thumbnail size
+            const scale = Math.min(this.size / imgBitmap.width, this.size / imgBitmap.height);
+            canvas.width = imgBitmap.width * scale;
+            canvas.height = imgBitmap.height * scale;
+
+            ctx.drawImage(imgBitmap, 0, 0, canvas.width, canvas.height);
+
+            img.src = canvas.toDataURL('image/jpeg', 0.85); // Compress to Jpeg
+            imgBitmap.close(); // Immediate memory release
+        } catch (e) {
+            console.error("Thumbnail error:", e);
+            // Fallback to original if canvas fails
+            img.src = URL.createObjectURL(blob);
+        }
+    }
+
+    /**
+     * Single lazily loaded thumbnail, e.g. a cluster's cover image.
+     * @param {string} filename - Path relative to the selected folder.
+     * @param {string} className
+     * @returns {HTMLImageElement}
+     */
+    createImage(filename, className) {
+        const img = document.createElement('img');
+        img.className = className;
+        img.alt = filename;
+        img.src = PLACEHOLDER_SRC;
+        const observer = new IntersectionObserver((entries, obs) => {
+            if (!entries.some(entry => entry.isIntersecting)) return;
+            obs.disconnect();
+            this.loadThumbnail(img, filename);
+        }, { rootMargin: '100px' });
+        observer.observe(img);
+        return img;
+    }
+
+    /**
+     * Build a `.cluster-grid` of lazily loaded thumbnails.
+     * @param {number[]} indices - Image indices into `filenames`/`captions`, in display order.
+     * @param {string[]} filenames
+     * @param {string[]} captions
+     * @param {Function} [decorate] - Optional `(imgContainer, imgIndex, position)` hook to add badges etc.
+     * @returns {HTMLDivElement}
+     */
+    createGrid(indices, filenames, captions, decorate = null) {
+        const grid = document.createElement('div');
+        grid.className = 'cluster-grid';
+
+        // Lazy load images using IntersectionObserver
+        const observer = new IntersectionObserver((entries, obs) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    const idx = img.dataset.index;
+                    obs.unobserve(img);
+                    img.removeAttribute('data-index');
+                    this.loadThumbnail(img, filenames[idx]);
+                }
+            });
+        }, { rootMargin: '100px' });
+
+        indices.forEach((imgIndex, position) => {
+            const imgContainer = document.createElement('div');
+            imgContainer.className = 'cluster-image';
+
+            const img = document.createElement('img');
+            img.title = `${filenames[imgIndex]}\n${captions[imgIndex]}`;
+            img.dataset.index = imgIndex; // Store index for observer
+            img.alt = "Loading...";
+
+            // Show a placeholder or small icon first
+            img.src = PLACEHOLDER_SRC;
+
+            observer.observe(img);
+
+            imgContainer.appendChild(img);
+            if (decorate) decorate(imgContainer, imgIndex, position);
+            grid.appendChild(imgContainer);
+        });
+
+        return grid;
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * Small vector helpers shared by search, labelling and clustering code.
+ * Vectors are plain arrays or Float32Arrays of equal length.
+ */
+
+/**
+ * Dot product of two vectors.
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+export function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/**
+ * Unit-length copy of a vector (zero vectors stay zero).
+ * @param {ArrayLike<number>} vector
+ * @returns {Float32Array}
+ */
+export function normalize(vector) {
+    const norm = Math.sqrt(dot(vector, vector)) || 1;
+    const out = new Float32Array(vector.length);
+    for (let i = 0; i < vector.length; i++) out[i] = vector[i] / norm;
+    return out;
+}
+
+/**
+ * Element-wise mean of the vectors selected by `indices`.
+ * @param {Array<ArrayLike<number>>} vectors
+ * @param {number[]} indices
+ * @returns {Float32Array}
+ */
+export function mean(vectors, indices) {
+    const dim = vectors[indices[0]].length;
+    const out = new Float32Array(dim);
+    for (const idx of indices) {
+        const v = vectors[idx];
+        for (let i = 0; i < dim; i++) out[i] += v[i];
+    }
+    for (let i = 0; i < dim; i++) out[i] /= indices.length;
+    return out;
+}
+
+/**
+ * Deterministic pseudo-random generator (Mulberry32), so seeded algorithms give the same result for the same run.
+ * @param {number} seed
+ * @returns {() => number} Floats in [0, 1).
+ */
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}